@@ -1,4 +1,25 @@
 const { defineConfig } = require('cypress');
+const { URL } = require('url');
+const apiProfiles = require('./src/apiProfiles.json');
+const { createServer } = require('./mock-server/server');
+
+// Same profile names the app understands (see src/apiConfig.js). The
+// default, `local`, is the bundled mock server, started below.
+const apiProfile = process.env.API_PROFILE || 'local';
+
+const startMockServer = apiUrl => new Promise(resolve => {
+  const port = new URL(apiUrl).port || 80;
+  const server = createServer();
+  server.on('error', err => {
+    // Most likely `npm run mock-server` is already running; use that one.
+    console.log(`Mock API not started on port ${port}: ${err.code}`);
+    resolve();
+  });
+  server.listen(port, () => {
+    console.log(`Mock API listening on ${apiUrl}`);
+    resolve();
+  });
+});
 
 module.exports = defineConfig({
   e2e: {
@@ -25,14 +46,19 @@ module.exports = defineConfig({
       openMode: 0
     },
     env: {
-      apiUrl: 'https://conduit.productionready.io/api',
+      apiProfile,
+      apiUrl: apiProfiles[apiProfile],
       testUser: {
         username: 'testuser_' + Date.now(),
         email: 'testuser_' + Date.now() + '@test.com',
         password: 'testpassword123'
       }
     },
-    setupNodeEvents(on, config) {
+    async setupNodeEvents(on, config) {
+      if (config.env.apiProfile === 'local') {
+        await startMockServer(config.env.apiUrl);
+      }
+
       // implement node event listeners here
       on('task', {
         log(message) {
@@ -117,6 +117,35 @@ describe('Authentication Flow', () => {
       cy.get('.navbar .nav-link').should('contain', testUser.username);
     });
 
+    it('should return to the page given in ?next= after login', () => {
+      cy.visit('/login?next=%2Fsettings');
+
+      cy.get('[placeholder="Email"]').clearAndType(testUser.email);
+      cy.get('[placeholder="Password"]').clearAndType(testUser.password);
+      cy.get('.auth-page .btn-primary').contains('Sign in').safeClick();
+
+      cy.waitForAPI('@loginRequest');
+      cy.location('pathname').should('eq', '/settings');
+    });
+
+    it('should ignore return paths that leave the app', () => {
+      cy.visit('/login?next=%2F%2Fexample.com%2Fphish');
+
+      cy.get('[placeholder="Email"]').clearAndType(testUser.email);
+      cy.get('[placeholder="Password"]').clearAndType(testUser.password);
+      cy.get('.auth-page .btn-primary').contains('Sign in').safeClick();
+
+      cy.waitForAPI('@loginRequest');
+      cy.location('pathname').should('eq', '/');
+      cy.location('host').should('eq', new URL(Cypress.config('baseUrl')).host);
+    });
+
+    it('should keep the return path when switching to registration', () => {
+      cy.visit('/login?next=%2Feditor');
+      cy.contains('Need an account?')
+        .should('have.attr', 'href', '/register?next=%2Feditor');
+    });
+
     it('should show error for invalid credentials', () => {
       cy.visit('/login');
 
@@ -222,10 +251,45 @@ describe('Authentication Flow', () => {
       // Try to access protected route
       cy.visit('/editor');
       
-      // Should redirect to login or show login prompt
-      // Note: The actual behavior depends on the app's implementation
+      // Should redirect to login, remembering where we were going
+      cy.location('pathname').should('eq', '/login');
+      cy.location('search').should('eq', '?next=%2Feditor');
+      cy.get('.navbar .nav-link').should('contain', 'Sign in');
+    });
+
+    it('should redirect anonymous users away from settings', () => {
+      cy.clearAuth();
+      cy.visit('/settings');
+
+      cy.location('pathname').should('eq', '/login');
+      cy.location('search').should('eq', '?next=%2Fsettings');
+    });
+  });
+
+  describe('Session Expiry', () => {
+    it('should sign out and return to login when the stored token is rejected', () => {
+      cy.visit('/settings', {
+        onBeforeLoad(win) {
+          win.localStorage.setItem('jwt', 'expired-or-revoked-token');
+        }
+      });
+
+      cy.url().should('include', '/login');
+      cy.get('.notice').should('contain', 'Your session has expired');
+      cy.window().its('localStorage.jwt').should('eq', '');
       cy.get('.navbar .nav-link').should('contain', 'Sign in');
     });
+
+    it('should dismiss the session expired notice', () => {
+      cy.visit('/', {
+        onBeforeLoad(win) {
+          win.localStorage.setItem('jwt', 'expired-or-revoked-token');
+        }
+      });
+
+      cy.get('.notice .close').click();
+      cy.get('.notice').should('not.exist');
+    });
   });
 
   describe('Navigation Authentication States', () => {
@@ -91,6 +91,110 @@ describe('Homepage Functionality', () => {
       });
     });
 
+    it('should restore the tag feed from the URL and on back navigation', () => {
+      cy.visit('/?tag=programming');
+      cy.waitForPageLoad();
+      cy.get('.feed-toggle .nav-link.active').should('contain', '#programming');
+
+      cy.get('.feed-toggle .nav-link').contains('Global Feed').safeClick();
+      cy.get('.feed-toggle .nav-link.active').should('contain', 'Global Feed');
+
+      cy.go('back');
+      cy.url().should('include', 'tag=programming');
+      cy.get('.feed-toggle .nav-link.active').should('contain', '#programming');
+    });
+
+    it('should combine several selected tags with any/all matching', () => {
+      cy.visit('/?tag=testing');
+      cy.waitForPageLoad();
+      cy.waitForAPI('@getTags');
+
+      cy.get('.sidebar .tag-pill').contains('programming').safeClick();
+      cy.url().should('include', 'tag=testing&tag=programming');
+      cy.get('.feed-toggle .tag-chip').should('have.length', 2);
+      cy.get('.sidebar .tag-primary').should('have.length', 2);
+      cy.get('.article-preview .tag-list').each($tags => {
+        expect($tags.text()).to.match(/testing|programming/);
+      });
+
+      cy.get('.tag-match').contains('All tags').safeClick();
+      cy.url().should('include', 'match=all');
+      cy.get('.article-preview .tag-list').each($tags => {
+        expect($tags.text()).to.contain('testing').and.to.contain('programming');
+      });
+
+      cy.get('.tag-chip-remove[aria-label="Remove programming"]').safeClick();
+      cy.get('.feed-toggle .tag-chip').should('have.length', 1);
+      cy.url().should('not.include', 'match=');
+    });
+
+    it('should keep tags with commas apart and flag truncated combinations', () => {
+      const article = (slug, tag) => ({
+        slug,
+        title: slug,
+        description: '',
+        body: '',
+        tagList: [tag],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        favorited: false,
+        favoritesCount: 0,
+        author: { username: 'stub', bio: null, image: null, following: false }
+      });
+      cy.intercept('GET', '**/articles?tag=a%2Cb&*', {
+        body: { articles: [article('comma-tag-article', 'a,b')], articlesCount: 600 }
+      }).as('getCommaTag');
+
+      cy.visit('/?tag=a%2Cb&tag=testing');
+      cy.waitForAPI('@getCommaTag');
+
+      cy.get('.feed-toggle .tag-chip').should('have.length', 2);
+      cy.get('.feed-toggle .tag-chip').first().should('contain', '#a,b');
+      cy.get('.tag-truncated-notice').should('be.visible');
+      cy.get('.article-preview').should('contain', 'comma-tag-article');
+    });
+
+    it('should sort the feed and remember the order for that feed', () => {
+      cy.visit('/');
+      cy.waitForPageLoad();
+      cy.waitForAPI('@getArticles');
+
+      cy.get('.feed-toggle .sort-control select').select('oldest');
+      cy.url().should('include', 'sort=oldest');
+      cy.get('.article-preview .date').then($dates => {
+        const times = $dates.toArray().map(el => new Date(el.innerText).getTime());
+        expect(times).to.deep.equal([...times].sort((a, b) => a - b));
+      });
+
+      cy.visit('/?tab=all');
+      cy.get('.feed-toggle .sort-control select').should('have.value', 'oldest');
+    });
+
+    it('should hide muted authors and tags until they are unmuted', () => {
+      cy.visit('/');
+      cy.waitForPageLoad();
+      cy.waitForAPI('@getArticles');
+
+      cy.get('.sidebar .mute-tag[aria-label="Mute programming"]').safeClick();
+      cy.get('.sidebar .tag-pill').should('not.contain', 'programming');
+
+      cy.get('.article-preview .article-meta .author').first().invoke('text').then(author => {
+        cy.get('.article-preview .mute-toggle').first().safeClick();
+        cy.get('.mute-options .mute-author').first().safeClick();
+
+        cy.get('.article-preview .article-meta .author').should('not.contain', author.trim());
+        cy.get('.hidden-notice').should('contain', 'hidden');
+
+        cy.get('.hidden-notice a').contains('Manage muted').safeClick();
+        cy.url().should('include', '/settings/muted');
+        cy.get('.muted-list').should('contain', author.trim()).and('contain', '#programming');
+
+        cy.get('.muted-list .list-group-item').contains(author.trim())
+          .parent().find('button').contains('Unmute').safeClick();
+        cy.get('.muted-list').should('not.contain', author.trim());
+      });
+    });
+
     it('should display article previews with correct information', () => {
       cy.visit('/');
       cy.waitForPageLoad();
@@ -234,7 +338,7 @@ describe('Homepage Functionality', () => {
       // Check if pagination exists and click next page
       cy.get('body').then($body => {
         if ($body.find('.pagination .page-item').length > 1) {
-          cy.get('.pagination .page-item').eq(1).find('.page-link').safeClick();
+          cy.get('.pagination .page-link').contains(/^2$/).safeClick();
           cy.waitForAPI('@getArticles');
 
           // Verify URL changed
@@ -245,6 +349,40 @@ describe('Homepage Functionality', () => {
         }
       });
     });
+
+    it('should request the chosen number of articles per page', () => {
+      cy.visit('/');
+      cy.waitForPageLoad();
+      cy.waitForAPI('@getArticles');
+
+      cy.get('body').then($body => {
+        if ($body.find('.page-size select').length > 0) {
+          cy.get('.page-size select').select('20');
+          cy.wait('@getArticles').its('request.url').should('include', 'limit=20');
+          cy.url().should('not.include', 'page=');
+        }
+      });
+    });
+
+    it('should append the next page when infinite scroll is chosen', () => {
+      cy.visit('/');
+      cy.waitForPageLoad();
+      cy.waitForAPI('@getArticles');
+
+      cy.get('body').then($body => {
+        if ($body.find('.list-mode').length > 0) {
+          cy.get('.list-mode button').contains('infinite scroll').safeClick();
+          cy.get('.pagination').should('not.exist');
+
+          cy.get('.article-preview').its('length').then(count => {
+            cy.get('.list-sentinel').scrollIntoView();
+            cy.get('.article-preview').should('have.length.greaterThan', count);
+          });
+
+          cy.window().its('localStorage.preferences').should('contain', 'infinite');
+        }
+      });
+    });
   });
 
   describe('Feed Performance and Loading', () => {
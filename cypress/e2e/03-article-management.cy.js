@@ -76,18 +76,34 @@ describe('Article Management', () => {
       cy.visit('/editor');
       cy.waitForPageLoad();
 
-      // Try to publish without filling required fields
-      cy.get('.btn-primary').contains('Publish Article').safeClick();
+      // Publishing is disabled until the required fields are filled
+      cy.get('.btn-primary').contains('Publish Article').should('be.disabled');
+      cy.get('.publish-hint').should('contain', 'Title');
 
-      // Should stay on editor page (form validation)
-      cy.verifyURL('/editor');
+      // Leaving a required field empty shows the error next to it
+      cy.get('[placeholder="Article Title"]').focus().blur();
+      cy.get('.field-error').should('contain', "Title can't be blank");
 
       // Fill only title and try again
       cy.get('[placeholder="Article Title"]').clearAndType('Test Title');
-      cy.get('.btn-primary').contains('Publish Article').safeClick();
+      cy.contains('.field-error', 'Title').should('not.exist');
+      cy.get('.btn-primary').contains('Publish Article').should('be.disabled');
 
       // Should still stay on editor page
       cy.verifyURL('/editor');
+
+      cy.get('[placeholder="What\'s this article about?"]').clearAndType('Test description');
+      cy.get('[placeholder="Write your article (in markdown)"]').clearAndType('Test body');
+      cy.get('.btn-primary').contains('Publish Article').should('not.be.disabled');
+
+      // Server errors are shown next to their field
+      cy.intercept('POST', '**/articles', {
+        statusCode: 422,
+        body: { errors: { title: ['has already been taken'] } }
+      }).as('rejectedArticle');
+      cy.get('.btn-primary').contains('Publish Article').safeClick();
+      cy.wait('@rejectedArticle');
+      cy.get('.field-error').should('contain', 'Title has already been taken');
     });
 
     it('should handle markdown content correctly', () => {
@@ -119,6 +135,9 @@ describe('Article Management', () => {
         cy.get('.article-content h1').should('exist'); // Markdown headers should be rendered
         cy.get('.article-content code').should('exist'); // Inline code should be rendered
         cy.get('.article-content pre').should('exist'); // Code blocks should be rendered
+        cy.get('.article-content pre code .token.keyword').should('exist'); // Code blocks should be highlighted
+        cy.get('.article-content table').should('exist'); // GFM tables should be rendered
+        cy.get('.article-content h2#heading-headers a.heading-anchor').should('have.attr', 'href', '#heading-headers');
       });
     });
 
@@ -141,6 +160,109 @@ describe('Article Management', () => {
       cy.get('.tag-default.tag-pill').should('have.length', 3);
     });
 
+    it('should normalize tags and suggest known ones', () => {
+      cy.intercept('GET', '**/tags', { tags: ['javascript', 'java'] });
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+
+      // Comma commits; case, spacing and duplicates are normalized
+      cy.get('[placeholder="Enter tags"]').type('  React ,redux,react,');
+      cy.get('.tag-default.tag-pill').should('have.length', 2);
+      cy.get('.tag-list').should('contain', 'react').and('contain', 'redux');
+
+      // Suggestions can be picked with the keyboard
+      cy.get('[placeholder="Enter tags"]').type('jav');
+      cy.get('.tag-suggestions .dropdown-item').should('have.length', 2);
+      cy.get('[placeholder="Enter tags"]').type('{downarrow}{enter}');
+      cy.get('.tag-list').should('contain', 'javascript');
+
+      // Backspace in the empty input removes the last tag
+      cy.get('[placeholder="Enter tags"]').type('{backspace}');
+      cy.get('.tag-list').should('not.contain', 'javascript');
+      cy.get('.tag-default.tag-pill').should('have.length', 2);
+    });
+
+    it('should only count footnotes defined outside code blocks', () => {
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+
+      const body = 'One[^a] two[^b]\n\n```\n[^b]: inside code\n```\n\n[^a]: A real note';
+      cy.get('[placeholder="Write your article (in markdown)"]').clearAndType(body);
+      cy.get('.body-editor .nav-link').contains('Preview').safeClick();
+
+      cy.get('.body-preview .footnote-ref').should('have.length', 1);
+      cy.get('.body-preview p').first().should('contain', '[^b]');
+      cy.get('.body-preview .footnotes li').should('have.length', 1).and('contain', 'A real note');
+      cy.get('.body-preview pre code').should('contain', '[^b]: inside code');
+    });
+
+    it('should preview the rendered body before publishing', () => {
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+
+      cy.get('[placeholder="Write your article (in markdown)"]').clearAndType('# Preview heading\n\nSome **bold** text');
+
+      cy.get('.body-editor .nav-link').contains('Preview').safeClick();
+      cy.get('[placeholder="Write your article (in markdown)"]').should('not.exist');
+      cy.get('.body-preview h1').should('contain', 'Preview heading');
+      cy.get('.body-preview strong').should('contain', 'bold');
+
+      cy.get('.body-editor .nav-link').contains('Side by side').safeClick();
+      cy.get('[placeholder="Write your article (in markdown)"]').should('be.visible');
+      cy.get('.body-preview h1').should('be.visible');
+
+      // Full-screen mode closes with Escape
+      cy.get('.body-editor-fullscreen-toggle').safeClick();
+      cy.get('.body-editor').should('have.class', 'body-editor-fullscreen');
+      cy.get('body').type('{esc}');
+      cy.get('.body-editor').should('not.have.class', 'body-editor-fullscreen');
+
+      // The chosen mode is remembered
+      cy.reload();
+      cy.get('.body-editor').should('have.class', 'body-editor-split');
+    });
+
+    it('should keep an unpublished draft and offer to restore it', () => {
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+
+      cy.get('[placeholder="Article Title"]').clearAndType('Draft title');
+      cy.get('[placeholder="Write your article (in markdown)"]').clearAndType('Draft body');
+      cy.get('.draft-status').should('contain', 'Draft saved');
+
+      // Leave the editor and come back
+      cy.get('.navbar-brand').safeClick();
+      cy.visit('/editor');
+      cy.get('.draft-offer').should('be.visible');
+      cy.get('.draft-offer button').contains('Restore').safeClick();
+      cy.get('[placeholder="Article Title"]').should('have.value', 'Draft title');
+
+      // Listed on the drafts page
+      cy.visit('/drafts');
+      cy.get('.draft-list .draft-item').should('have.length', 1).and('contain', 'Draft title');
+
+      // Publishing clears it
+      cy.get('.draft-item a').contains('Draft title').safeClick();
+      cy.get('[placeholder="Write your article (in markdown)"]').should('have.value', 'Draft body');
+      cy.get('[placeholder="What\'s this article about?"]').clearAndType('About the draft');
+      cy.get('.btn-primary').contains('Publish Article').safeClick();
+      cy.waitForAPI('@createArticle');
+      cy.visit('/drafts');
+      cy.get('.drafts-empty').should('be.visible');
+    });
+
+    it('should ask before leaving the editor with unsaved changes', () => {
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+      cy.get('[placeholder="Article Title"]').clearAndType('Unsaved title');
+
+      // Declining keeps the editor open
+      cy.on('window:confirm', () => false);
+      cy.get('.navbar-brand').safeClick();
+      cy.verifyURL('/editor');
+      cy.get('[placeholder="Article Title"]').should('have.value', 'Unsaved title');
+    });
+
     it('should navigate to home when canceling article creation', () => {
       cy.visit('/editor');
       cy.waitForPageLoad();
@@ -198,6 +320,25 @@ describe('Article Management', () => {
       });
     });
 
+    it('should keep a revision history with a diff and restore', () => {
+      cy.visit(`/editor/${createdArticle.slug}`);
+      cy.waitForPageLoad();
+      cy.get('[placeholder="What\'s this article about?"]').clear().type('A revised description');
+      cy.get('.btn-primary').contains('Publish Article').safeClick();
+      cy.waitForAPI('@updateArticle');
+
+      cy.get('.history-toggle').should('contain', '2 revisions').safeClick();
+      cy.get('.revision-item').should('have.length', 2);
+      cy.get('.revision-diff ins').should('contain', 'revised');
+      cy.get('.revision-diff del').should('exist');
+
+      // The latest revision is what is published, so only the first can be restored
+      cy.get('.revision-item').first().find('.revision-restore').should('be.disabled');
+      cy.get('.revision-item').last().find('.revision-restore').safeClick();
+      cy.location('pathname').should('eq', `/editor/${createdArticle.slug}`);
+      cy.get('[placeholder="What\'s this article about?"]').should('have.value', testArticle.description);
+    });
+
     it('should not allow editing articles by other users', () => {
       // Create another user
       const anotherUser = {
@@ -210,9 +351,8 @@ describe('Article Management', () => {
         // Try to edit the original user's article
         cy.visit(`/editor/${createdArticle.slug}`);
 
-        // Should redirect or show error (depending on implementation)
-        // The exact behavior depends on how the app handles unauthorized access
-        cy.url().should('not.include', `/editor/${createdArticle.slug}`);
+        // Non-authors are sent to the read-only article page
+        cy.location('pathname').should('eq', `/article/${createdArticle.slug}`);
       });
     });
   });
@@ -269,6 +409,26 @@ describe('Article Management', () => {
       });
     });
 
+    it('should round-trip an article through a Markdown file', () => {
+      cy.visit(`/article/${createdArticle.slug}`);
+      cy.waitForPageLoad();
+      cy.get('.download-markdown').should('have.length', 1).safeClick();
+
+      const file = `${Cypress.config('downloadsFolder')}/${createdArticle.slug}.md`;
+      cy.readFile(file).should('match', /^---\n/).and('contain', `title: ${testArticle.title}`);
+
+      cy.visit('/editor');
+      cy.waitForPageLoad();
+      cy.get('.import-markdown input[type=file]').selectFile(file, { force: true });
+
+      cy.get('[placeholder="Article Title"]').should('have.value', testArticle.title);
+      cy.get('[placeholder="What\'s this article about?"]').should('have.value', testArticle.description);
+      cy.get('[placeholder="Write your article (in markdown)"]').should('have.value', testArticle.body);
+      testArticle.tagList.forEach(tag => {
+        cy.get('.tag-list').should('contain', tag);
+      });
+    });
+
     it('should handle non-existent articles gracefully', () => {
       cy.visit('/article/non-existent-article-slug');
       
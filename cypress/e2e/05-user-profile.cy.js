@@ -137,6 +137,15 @@ describe('User Profile Functionality', () => {
       cy.url().should('include', '/favorites');
     });
 
+    it('should sort profile articles from the sort control', () => {
+      cy.visitUserProfile(testUser.username);
+      cy.waitForAPI('@getAuthorArticles');
+
+      cy.get('.articles-toggle .sort-control select').select('favorites');
+      cy.url().should('include', 'sort=favorites');
+      cy.get('.article-preview').should('have.length.greaterThan', 0);
+    });
+
     it('should navigate to article from profile', () => {
       cy.visitUserProfile(testUser.username);
       cy.waitForAPI('@getAuthorArticles');
@@ -288,6 +297,73 @@ describe('User Profile Functionality', () => {
       cy.verifyURL('/settings');
     });
 
+    it('should ask before leaving settings with unsaved changes', () => {
+      cy.visit('/settings');
+      cy.waitForPageLoad();
+
+      cy.get('[placeholder="Short bio about you"]').clear().type('Unsaved bio');
+
+      cy.on('window:confirm', () => false);
+      cy.get('.navbar-brand').safeClick();
+      cy.verifyURL('/settings');
+      cy.get('[placeholder="Short bio about you"]').should('have.value', 'Unsaved bio');
+    });
+
+    it('should export articles and favorites as a ZIP', () => {
+      cy.getCurrentUserToken().then(token => {
+        cy.createArticleAPI(testArticle, token);
+      });
+      cy.visit('/settings');
+      cy.waitForPageLoad();
+
+      cy.get('.export-start').safeClick();
+      cy.waitForAPI('@getAuthorArticles');
+      cy.waitForAPI('@getFavoritedArticles');
+
+      const date = new Date().toISOString().slice(0, 10);
+      const file = `${Cypress.config('downloadsFolder')}/${testUser.username}-export-${date}.zip`;
+      cy.readFile(file, 'binary', { timeout: 15000 })
+        .should('match', /^PK/)
+        .and('contain', 'data.json')
+        .and('contain', 'articles/');
+      cy.get('.export-status').should('not.exist');
+    });
+
+    it('should report fetching bodies left out of article lists', () => {
+      cy.getCurrentUserToken().then(token => {
+        cy.createArticleAPI(testArticle, token);
+      });
+      cy.intercept('GET', '**/articles?author=**', req => {
+        req.continue(res => {
+          res.body.articles.forEach(article => delete article.body);
+        });
+      });
+      cy.intercept('GET', /\/articles\/[^/?]+$/, req => {
+        req.on('response', res => res.setDelay(1000));
+      }).as('getArticleBody');
+      cy.visit('/settings');
+      cy.waitForPageLoad();
+
+      cy.get('.export-start').safeClick();
+      cy.get('.export-status').should('contain', 'Fetching article bodies... 0 of 1');
+      cy.waitForAPI('@getArticleBody');
+      cy.get('.export-status', { timeout: 15000 }).should('not.exist');
+    });
+
+    it('should cancel a running export', () => {
+      cy.intercept('GET', '**/articles?author=**', req => {
+        req.on('response', res => res.setDelay(2000));
+      });
+      cy.visit('/settings');
+      cy.waitForPageLoad();
+
+      cy.get('.export-start').safeClick();
+      cy.get('.export-status').should('contain', 'Starting');
+      cy.get('.export-cancel').safeClick();
+      cy.get('.export-status').should('contain', 'Export cancelled.');
+      cy.get('.export-start').should('be.visible');
+    });
+
     it('should update password successfully', () => {
       cy.visit('/settings');
       cy.waitForPageLoad();
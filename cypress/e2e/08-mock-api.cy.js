@@ -0,0 +1,150 @@
+/**
+ * Mock API Tests
+ * Verifies the bundled mock Conduit server behaves like the real API
+ * for the endpoints the app uses
+ */
+
+describe('Mock API', () => {
+  const apiUrl = () => Cypress.env('apiUrl');
+
+  before(function () {
+    if (Cypress.env('apiProfile') !== 'local') {
+      this.skip();
+    }
+  });
+
+  beforeEach(() => {
+    cy.request('POST', `${apiUrl()}/__reset`);
+  });
+
+  it('should serve the seeded fixture articles and tags', () => {
+    cy.fixture('articles').then((articles) => {
+      cy.request(`${apiUrl()}/articles?limit=10&offset=0`).then((response) => {
+        expect(response.status).to.eq(200);
+        expect(response.body.articles.map(a => a.title))
+          .to.include(articles.sampleArticle.title);
+        expect(response.body.articlesCount).to.eq(response.body.articles.length);
+      });
+    });
+
+    cy.request(`${apiUrl()}/tags`).its('body.tags').should('include', 'programming');
+  });
+
+  it('should log in a seeded user', () => {
+    cy.fixture('users').then((users) => {
+      cy.loginUserAPI(users.validUser).then((user) => {
+        expect(user.username).to.eq(users.validUser.username);
+        expect(user.token).to.be.a('string');
+      });
+    });
+  });
+
+  it('should return Conduit-style validation errors', () => {
+    cy.request({
+      method: 'POST',
+      url: `${apiUrl()}/users/login`,
+      body: { user: { email: 'nobody@test.com', password: 'wrong' } },
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(422);
+      expect(response.body.errors).to.have.property('email or password');
+    });
+  });
+
+  it('should answer a missing or null body with a 422', () => {
+    ['null', '[]'].forEach((body) => {
+      cy.request({
+        method: 'POST',
+        url: `${apiUrl()}/users`,
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(422);
+        expect(response.body.errors).to.have.property('body');
+      });
+    });
+  });
+
+  it('should keep the slug unless the title changes', () => {
+    const title = 'Stable Slug ' + Date.now();
+    cy.registerUser().then((user) => {
+      const update = (slug, article) => cy.request({
+        method: 'PUT',
+        url: `${apiUrl()}/articles/${slug}`,
+        headers: { Authorization: `Token ${user.token}` },
+        body: { article }
+      }).its('body.article');
+
+      cy.createArticleAPI({ title }, user.token).then((article) => {
+        update(article.slug, { title, body: 'Edited once' })
+          .its('slug').should('eq', article.slug);
+        update(article.slug, { title, body: 'Edited twice' })
+          .its('slug').should('eq', article.slug);
+        update(article.slug, { title: title + ' renamed' })
+          .its('slug').should('not.eq', article.slug);
+      });
+    });
+  });
+
+  it('should reject a tag list that is not a list of strings', () => {
+    cy.registerUser().then((user) => {
+      const send = (method, path, tagList) => cy.request({
+        method,
+        url: `${apiUrl()}${path}`,
+        headers: { Authorization: `Token ${user.token}` },
+        body: { article: { title: 'Bad Tags', description: 'd', body: 'b', tagList } },
+        failOnStatusCode: false
+      });
+
+      send('POST', '/articles', 'oops').then((response) => {
+        expect(response.status).to.eq(422);
+        expect(response.body.errors.tagList).to.deep.eq(['must be a list of tags']);
+      });
+      cy.createArticleAPI({ title: 'Good Tags ' + Date.now() }, user.token).then((article) => {
+        send('PUT', `/articles/${article.slug}`, ['ok', 1]).its('status').should('eq', 422);
+      });
+      cy.request(`${apiUrl()}/tags`).its('status').should('eq', 200);
+    });
+  });
+
+  it('should answer a malformed escape in the path with a 404', () => {
+    cy.request({
+      url: `${apiUrl()}/articles/%E0%A4%A`,
+      failOnStatusCode: false,
+      timeout: 5000
+    }).its('status').should('eq', 404);
+  });
+
+  it('should persist created articles and comments until reset', () => {
+    cy.registerUser().then((user) => {
+      cy.createArticleAPI({ title: 'Mock Article ' + Date.now() }, user.token)
+        .then((article) => {
+          cy.request({
+            method: 'POST',
+            url: `${apiUrl()}/articles/${article.slug}/comments`,
+            headers: { Authorization: `Token ${user.token}` },
+            body: { comment: { body: 'Stored in memory' } }
+          });
+
+          cy.request(`${apiUrl()}/articles/${article.slug}/comments`)
+            .its('body.comments')
+            .should('have.length', 1);
+
+          cy.request('POST', `${apiUrl()}/__reset`);
+          cy.request({
+            url: `${apiUrl()}/articles/${article.slug}`,
+            failOnStatusCode: false
+          }).its('status').should('eq', 404);
+        });
+    });
+  });
+
+  it('should reject requests with an unknown token', () => {
+    cy.request({
+      url: `${apiUrl()}/user`,
+      headers: { Authorization: 'Token not-a-real-token' },
+      failOnStatusCode: false
+    }).its('status').should('eq', 401);
+  });
+});
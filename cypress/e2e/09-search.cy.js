@@ -0,0 +1,44 @@
+/**
+ * Search E2E Tests
+ * Tests the header search box and the /search results page
+ */
+
+describe('Article Search', () => {
+  beforeEach(() => {
+    cy.intercept('GET', '**/articles?**').as('getArticles');
+  });
+
+  it('should open the search page from the header search box', () => {
+    cy.visit('/');
+    cy.waitForPageLoad();
+
+    cy.get('.navbar .search-box input').type('testing{enter}');
+
+    cy.url().should('include', '/search?q=testing');
+    cy.get('.search-page input').should('have.value', 'testing');
+  });
+
+  it('should rank and highlight matching articles', () => {
+    cy.fixture('articles').then((articles) => {
+      cy.visit('/search?q=scalable');
+      cy.waitForAPI('@getArticles');
+
+      cy.get('.search-result').first().within(() => {
+        cy.get('h1').should('contain', articles.sampleArticle.title);
+        cy.get('h1 mark').should('contain', 'Scalable');
+      });
+    });
+  });
+
+  it('should keep the query in the URL as it is typed', () => {
+    cy.visit('/search');
+    cy.waitForAPI('@getArticles');
+
+    cy.get('.search-page input').type('markdown guide');
+    cy.url().should('include', 'q=markdown');
+    cy.get('.search-result').should('have.length.greaterThan', 0);
+
+    cy.get('.search-page input').clear().type('zzzz-no-such-article');
+    cy.get('.search-page').should('contain', 'No articles match your search.');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Request Retry E2E Tests
+ * Tests how failed API requests are retried and reported
+ */
+
+describe('Request Retries', () => {
+  // The search page's first crawl request, which shows its errors
+  const firstCrawl = /\/articles\?limit=50&offset=0$/;
+
+  // Counts the requests an intercept sees, with the time of each
+  const recordCalls = (calls, reply) => (req) => {
+    calls.push(Date.now());
+    reply(req, calls.length);
+  };
+
+  describe('Reads', () => {
+    it('should retry a failing GET twice with growing delays before showing the error', () => {
+      const calls = [];
+      cy.intercept('GET', firstCrawl, recordCalls(calls, (req) => {
+        req.reply({ statusCode: 500 });
+      })).as('crawl');
+
+      cy.visit('/search');
+
+      cy.get('.search-page .error-messages')
+        .should('contain', 'server responded with status 500');
+      cy.wrap(calls).should('have.length', 3).then(() => {
+        expect(calls[1] - calls[0]).to.be.at.least(300);
+        expect(calls[2] - calls[1]).to.be.at.least(600);
+      });
+    });
+
+    it('should recover when a retry succeeds', () => {
+      const calls = [];
+      cy.intercept('GET', firstCrawl, recordCalls(calls, (req, n) => {
+        if (n === 1) {
+          req.reply({ statusCode: 503 });
+        } else {
+          req.continue();
+        }
+      })).as('crawl');
+
+      cy.visit('/search');
+
+      cy.get('.search-result').should('have.length.greaterThan', 0);
+      cy.get('.search-page .error-messages').should('not.exist');
+      cy.wrap(calls).should('have.length', 2);
+    });
+
+    it('should retry after a network failure and say the API is unreachable', () => {
+      const calls = [];
+      cy.intercept('GET', firstCrawl, recordCalls(calls, (req) => {
+        req.reply({ forceNetworkError: true });
+      })).as('crawl');
+
+      cy.visit('/search');
+
+      cy.get('.search-page .error-messages')
+        .should('contain', 'network is unreachable, check your connection');
+      cy.wrap(calls).should('have.length', 3);
+    });
+
+    it('should not retry a GET the API rejected', () => {
+      const calls = [];
+      cy.intercept('GET', firstCrawl, recordCalls(calls, (req) => {
+        req.reply({ statusCode: 404, body: { errors: { articles: ['not found'] } } });
+      })).as('crawl');
+
+      cy.visit('/search');
+
+      cy.get('.search-page .error-messages').should('contain', 'articles not found');
+      // Longer than both retry delays together
+      cy.wait(1500);
+      cy.wrap(calls).should('have.length', 1);
+    });
+  });
+
+  describe('Page loads', () => {
+    it('should show the error when the home feed cannot be loaded', () => {
+      cy.intercept('GET', /\/articles\?limit=\d+&offset=0$/, { statusCode: 500 }).as('getFeed');
+
+      cy.visit('/');
+
+      cy.get('.home-page .error-messages')
+        .should('contain', 'server responded with status 500');
+      cy.get('.navbar').should('be.visible');
+    });
+
+    it('should show the error when an article cannot be loaded', () => {
+      cy.intercept('GET', /\/articles\/failing-article(\/comments)?$/, { statusCode: 500 }).as('getArticle');
+
+      cy.visit('/article/failing-article');
+
+      cy.get('.article-page .error-messages')
+        .should('contain', 'server responded with status 500');
+    });
+
+    it('should show the error when a profile cannot be loaded', () => {
+      cy.intercept('GET', '**/profiles/failing-user', { forceNetworkError: true }).as('getProfile');
+
+      cy.visit('/@failing-user');
+
+      cy.get('.profile-page .error-messages')
+        .should('contain', 'network is unreachable, check your connection');
+    });
+  });
+
+  describe('Writes', () => {
+    let testUser;
+
+    beforeEach(() => {
+      cy.fixture('users').then((users) => {
+        testUser = {
+          ...users.validUser,
+          username: 'retryuser_' + Date.now(),
+          email: 'retryuser_' + Date.now() + '@test.com'
+        };
+        cy.registerUser(testUser);
+      });
+
+      cy.visit('/editor');
+      cy.get('[placeholder="Article Title"]').clearAndType('Retry Test Article');
+      cy.get('[placeholder="What\'s this article about?"]').clearAndType('Retry Test Description');
+      cy.get('[placeholder="Write your article (in markdown)"]').clearAndType('Retry Test Content');
+    });
+
+    it('should not retry a failing POST', () => {
+      const calls = [];
+      cy.intercept('POST', '**/articles', recordCalls(calls, (req) => {
+        req.reply({ statusCode: 500 });
+      })).as('createArticle');
+
+      cy.get('.btn-primary').contains('Publish Article').safeClick();
+
+      cy.get('.editor-page .error-messages')
+        .should('contain', 'server responded with status 500');
+      cy.wait(1500);
+      cy.wrap(calls).should('have.length', 1);
+      cy.verifyURL('/editor');
+    });
+
+    it('should report a request that times out', () => {
+      cy.intercept('POST', '**/articles', {
+        delay: 11000,
+        statusCode: 201,
+        body: {}
+      }).as('createArticle');
+
+      cy.get('.btn-primary').contains('Publish Article').safeClick();
+
+      cy.get('.editor-page .error-messages', { timeout: 15000 })
+        .should('contain', 'request timed out after 10000ms');
+      cy.verifyURL('/editor');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Request Cancellation E2E Tests
+ * Tests that responses arriving after their request was superseded or its
+ * page was left never reach the store
+ */
+
+describe('Request Cancellation', () => {
+  const DELAY = 2000;
+
+  const stubArticle = (slug, tag) => ({
+    slug,
+    title: 'Late ' + slug,
+    description: 'Arrives after the page moved on',
+    body: 'Arrives after the page moved on',
+    tagList: [tag],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    favorited: false,
+    favoritesCount: 0,
+    author: { username: 'stub', bio: null, image: null, following: false }
+  });
+
+  beforeEach(() => {
+    cy.intercept('GET', '**/articles?**').as('getArticles');
+    cy.intercept('GET', '**/tags').as('getTags');
+  });
+
+  it('should drop a tag feed that was superseded by another tab', () => {
+    cy.intercept('GET', '**/articles?tag=programming&*', {
+      delay: DELAY,
+      body: { articles: [stubArticle('late-tagged-article', 'programming')], articlesCount: 1 }
+    }).as('getSlowTag');
+
+    cy.visit('/');
+    cy.waitForPageLoad();
+    cy.waitForAPI('@getTags');
+
+    cy.get('.sidebar .tag-pill').contains('programming').safeClick();
+    cy.get('.feed-toggle .nav-link.active').should('contain', '#programming');
+    cy.get('.feed-toggle .nav-link').contains('Global Feed').safeClick();
+    cy.get('.feed-toggle .nav-link.active').should('contain', 'Global Feed');
+    cy.get('.article-preview').should('have.length.greaterThan', 0);
+
+    // Give the superseded response time to arrive
+    cy.wait(DELAY + 500);
+
+    cy.get('.feed-toggle .nav-link.active').should('contain', 'Global Feed');
+    cy.get('.article-preview').should('have.length.greaterThan', 0);
+    cy.get('.article-preview').should('not.contain', 'Late late-tagged-article');
+  });
+
+  it('should drop an article that loads after its page was left', () => {
+    cy.intercept('GET', /\/articles\/late-article$/, {
+      delay: DELAY,
+      body: { article: stubArticle('late-article', 'late') }
+    }).as('getSlowArticle');
+    cy.intercept('GET', /\/articles\/late-article\/comments$/, {
+      delay: DELAY,
+      body: { comments: [] }
+    }).as('getSlowComments');
+
+    cy.visit('/article/late-article');
+    cy.get('.navbar-brand').safeClick();
+    cy.verifyURL('/');
+    cy.waitForAPI('@getArticles');
+
+    // Open another article while the first one is still on its way
+    cy.get('.article-preview h1').first().then(($title) => {
+      const title = $title.text().trim();
+      cy.wrap($title).safeClick();
+      cy.get('.article-page h1').should('contain', title);
+
+      cy.wait(DELAY + 500);
+
+      cy.get('.article-page h1').should('contain', title);
+      cy.get('.article-page').should('not.contain', 'Late late-article');
+    });
+  });
+});
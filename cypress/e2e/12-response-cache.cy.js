@@ -0,0 +1,101 @@
+/**
+ * Response Cache E2E Tests
+ * Tests that GET responses are served from the cache, revalidated once
+ * stale, and dropped after a write changes them
+ */
+
+describe('Response Cache', () => {
+  // The first page of the global feed
+  const globalFeed = /\/articles\?limit=\d+&offset=0$/;
+
+  // Counts the requests an intercept sees
+  const recordCalls = (calls, reply) => (req) => {
+    calls.push(req.url);
+    reply(req, calls.length);
+  };
+
+  // Leaves the home page for an article and comes back without a reload
+  const openArticleAndReturn = () => {
+    cy.get('.article-preview .preview-link').first().safeClick();
+    cy.get('.article-page h1').should('be.visible');
+    cy.get('.navbar-brand').safeClick();
+    cy.get('.article-preview').should('have.length.greaterThan', 0);
+  };
+
+  it('should serve a fresh feed from the cache without a request', () => {
+    const calls = [];
+    cy.intercept('GET', globalFeed, recordCalls(calls, (req) => req.continue())).as('getFeed');
+
+    cy.visit('/');
+    cy.waitForAPI('@getFeed');
+
+    openArticleAndReturn();
+
+    cy.wait(1000);
+    cy.wrap(calls).should('have.length', 1);
+  });
+
+  it('should show a stale feed at once and replace it once revalidated', () => {
+    const calls = [];
+    cy.intercept('GET', globalFeed, recordCalls(calls, (req, n) => {
+      if (n === 1) {
+        req.continue();
+        return;
+      }
+      req.continue((res) => {
+        res.body.articles[0].title = 'Revalidated Article';
+      });
+    })).as('getFeed');
+
+    // Only Date is faked, so the app's timers keep running
+    cy.clock(Date.now(), ['Date']);
+    cy.visit('/');
+    cy.waitForAPI('@getFeed');
+    cy.get('.article-preview h1').first().invoke('text').then((staleTitle) => {
+      // Past the feed's one-minute TTL, within its stale window
+      cy.tick(61 * 1000);
+
+      openArticleAndReturn();
+
+      cy.waitForAPI('@getFeed');
+      cy.wrap(calls).should('have.length', 2);
+      cy.get('.article-preview h1').first().should('contain', 'Revalidated Article');
+      cy.get('.article-preview').should('not.contain', staleTitle.trim());
+    });
+  });
+
+  it('should refetch the feed after publishing an article', () => {
+    const calls = [];
+    const title = 'Cache Invalidation ' + Date.now();
+    cy.intercept('GET', globalFeed, recordCalls(calls, (req) => req.continue())).as('getFeed');
+    cy.intercept('POST', '**/articles').as('createArticle');
+
+    cy.fixture('users').then((users) => {
+      cy.registerUser({
+        ...users.validUser,
+        username: 'cacheuser_' + Date.now(),
+        email: 'cacheuser_' + Date.now() + '@test.com'
+      });
+    });
+
+    cy.visit('/');
+    cy.get('.feed-toggle .nav-link').contains('Global Feed').safeClick();
+    cy.waitForAPI('@getFeed');
+    cy.get('.article-preview').should('not.contain', title);
+
+    cy.get('.navbar a[href="/editor"]').safeClick();
+    cy.get('[placeholder="Article Title"]').clearAndType(title);
+    cy.get('[placeholder="What\'s this article about?"]').clearAndType('Cache Test Description');
+    cy.get('[placeholder="Write your article (in markdown)"]').clearAndType('Cache Test Content');
+    cy.get('.btn-primary').contains('Publish Article').safeClick();
+    cy.waitForAPI('@createArticle');
+    cy.get('.article-page h1').should('contain', title);
+
+    cy.get('.navbar-brand').safeClick();
+    cy.get('.feed-toggle .nav-link').contains('Global Feed').safeClick();
+    cy.waitForAPI('@getFeed');
+
+    cy.wrap(calls).should('have.length.greaterThan', 1);
+    cy.get('.article-preview').first().should('contain', title);
+  });
+});
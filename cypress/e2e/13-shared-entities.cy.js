@@ -0,0 +1,69 @@
+/**
+ * Shared Entities E2E Tests
+ * Tests that a change made to an article or profile in one view shows up
+ * wherever else it is displayed
+ */
+
+describe('Shared Entities', () => {
+  beforeEach(() => {
+    cy.intercept('GET', '**/articles?**').as('getArticles');
+    cy.intercept('POST', '**/articles/*/favorite').as('favoriteArticle');
+    cy.intercept('POST', '**/profiles/*/follow').as('followUser');
+
+    cy.fixture('users').then((users) => {
+      cy.registerUser({
+        ...users.validUser,
+        username: 'entityuser_' + Date.now(),
+        email: 'entityuser_' + Date.now() + '@test.com'
+      });
+    });
+
+    cy.visit('/');
+    cy.get('.feed-toggle .nav-link').contains('Global Feed').safeClick();
+    cy.waitForAPI('@getArticles');
+  });
+
+  it('should show an article favorited in the feed as favorited on its author\'s profile', () => {
+    cy.get('.article-preview').first().within(() => {
+      cy.get('h1').invoke('text').as('title');
+      cy.get('.favorite-toggle').invoke('text').then((text) => {
+        cy.wrap(parseInt(text, 10)).as('count');
+      });
+      cy.get('.favorite-toggle').safeClick();
+    });
+    cy.waitForAPI('@favoriteArticle');
+
+    cy.get('@count').then((count) => {
+      cy.get('.article-preview').first().find('.favorite-toggle')
+        .should('have.class', 'btn-primary')
+        .and('contain', String(count + 1));
+
+      cy.get('.article-preview').first().find('.author').safeClick();
+      cy.get('.profile-page').should('be.visible');
+
+      cy.get('@title').then((title) => {
+        cy.contains('.article-preview', title.trim()).find('.favorite-toggle')
+          .should('have.class', 'btn-primary')
+          .and('contain', String(count + 1));
+      });
+    });
+  });
+
+  it('should show a user followed on their profile in the personal feed and as followed when revisited', () => {
+    cy.get('.article-preview').first().find('.author').invoke('text').then((text) => {
+      const author = text.trim();
+
+      cy.get('.article-preview').first().find('.author').safeClick();
+      cy.get('.user-info .action-btn').contains('Follow').safeClick();
+      cy.waitForAPI('@followUser');
+      cy.get('.user-info .action-btn').should('contain', 'Unfollow');
+
+      cy.get('.navbar-brand').safeClick();
+      cy.get('.feed-toggle .nav-link').contains('Your Feed').safeClick();
+      cy.get('.article-preview .author').should('contain', author);
+
+      cy.get('.article-preview .author').contains(author).safeClick();
+      cy.get('.user-info .action-btn').should('contain', 'Unfollow');
+    });
+  });
+});
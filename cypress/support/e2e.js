@@ -44,6 +44,12 @@ Cypress.on('uncaught:exception', (err, runnable) => {
   return false;
 });
 
+// Point the app at the same backend as the tests (see src/apiConfig.js),
+// whichever profile the build under test defaults to.
+Cypress.on('window:before:load', (win) => {
+  win.localStorage.setItem('apiProfile', Cypress.env('apiProfile'));
+});
+
 // Setup for consistent test environment
 beforeEach(() => {
   // Clear localStorage and sessionStorage before each test
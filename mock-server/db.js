@@ -0,0 +1,243 @@
+/**
+ * In-memory data store for the mock Conduit server.
+ *
+ * Everything lives in plain arrays and is rebuilt from
+ * cypress/fixtures/*.json by `reset()`.
+ */
+const crypto = require('crypto');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'cypress', 'fixtures');
+const loadFixture = name => require(path.join(FIXTURES, `${name}.json`));
+
+let users;
+let articles;
+let comments;
+let nextCommentId;
+
+const slugify = title => title
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'article';
+
+// `except` is the article being renamed, whose own slug is not taken.
+const uniqueSlug = (title, except) => {
+  const base = slugify(title);
+  let slug = base;
+  const taken = candidate => {
+    const found = findArticle(candidate);
+    return found && found !== except;
+  };
+  for (let n = 2; taken(slug); ++n) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+/*
+ * Users
+ */
+
+const findUser = predicate => users.find(predicate);
+const findUserByName = username => findUser(u => u.username === username);
+const findUserByEmail = email => findUser(u => u.email === email);
+const findUserByToken = token => token ? findUser(u => u.token === token) : null;
+
+const createUser = ({ username, email, password, bio = null, image = null }) => {
+  const user = {
+    username,
+    email,
+    password,
+    bio,
+    image,
+    token: newToken(),
+    following: []
+  };
+  users.push(user);
+  return user;
+};
+
+const renameUser = (from, to) => {
+  const rename = name => name === from ? to : name;
+  users.forEach(u => { u.following = u.following.map(rename); });
+  articles.forEach(a => {
+    a.author = rename(a.author);
+    a.favoritedBy = a.favoritedBy.map(rename);
+  });
+  comments.forEach(c => { c.author = rename(c.author); });
+};
+
+const updateUser = (user, changes) => {
+  if (changes.username !== undefined && changes.username !== user.username) {
+    renameUser(user.username, changes.username);
+  }
+  ['username', 'email', 'password', 'bio', 'image'].forEach(key => {
+    if (changes[key] !== undefined) {
+      user[key] = changes[key];
+    }
+  });
+  return user;
+};
+
+/*
+ * Articles
+ */
+
+const findArticle = slug => articles.find(a => a.slug === slug);
+
+const createArticle = (author, { title, description, body, tagList = [] }, createdAt) => {
+  const now = (createdAt || new Date()).toISOString();
+  const article = {
+    slug: uniqueSlug(title),
+    title,
+    description,
+    body,
+    tagList,
+    createdAt: now,
+    updatedAt: now,
+    author: author.username,
+    favoritedBy: []
+  };
+  articles.push(article);
+  return article;
+};
+
+const updateArticle = (article, changes) => {
+  const renamed = changes.title !== undefined && changes.title !== article.title;
+  ['title', 'description', 'body', 'tagList'].forEach(key => {
+    if (changes[key] !== undefined) {
+      article[key] = changes[key];
+    }
+  });
+  if (renamed) {
+    const oldSlug = article.slug;
+    article.slug = uniqueSlug(changes.title, article);
+    comments.forEach(c => {
+      if (c.article === oldSlug) {
+        c.article = article.slug;
+      }
+    });
+  }
+  article.updatedAt = new Date().toISOString();
+  return article;
+};
+
+const deleteArticle = article => {
+  articles = articles.filter(a => a !== article);
+  comments = comments.filter(c => c.article !== article.slug);
+};
+
+const listArticles = ({ author, tag, favorited, authors }) => articles
+  .filter(a => !author || a.author === author)
+  .filter(a => !tag || a.tagList.indexOf(tag) !== -1)
+  .filter(a => !favorited || a.favoritedBy.indexOf(favorited) !== -1)
+  .filter(a => !authors || authors.indexOf(a.author) !== -1)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+const allTags = () => articles.reduce((tags, article) => {
+  article.tagList.forEach(tag => {
+    if (tags.indexOf(tag) === -1) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+}, []);
+
+/*
+ * Comments
+ */
+
+const commentsFor = slug => comments
+  .filter(c => c.article === slug)
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+const createComment = (article, author, body, createdAt) => {
+  const now = (createdAt || new Date()).toISOString();
+  const comment = {
+    id: nextCommentId++,
+    article: article.slug,
+    author: author.username,
+    body,
+    createdAt: now,
+    updatedAt: now
+  };
+  comments.push(comment);
+  return comment;
+};
+
+const deleteComment = comment => {
+  comments = comments.filter(c => c !== comment);
+};
+
+const findComment = (slug, id) =>
+  comments.find(c => c.article === slug && c.id === id);
+
+/*
+ * Seeding
+ */
+
+// The fixtures also hold deliberately invalid records for negative tests;
+// only the complete ones are seeded.
+const isCompleteUser = user =>
+  user.username && user.email && user.password && /@/.test(user.email);
+const isCompleteArticle = article =>
+  article.title && article.description && article.body;
+
+const reset = () => {
+  users = [];
+  articles = [];
+  comments = [];
+  nextCommentId = 1;
+
+  const userFixtures = loadFixture('users');
+  Object.keys(userFixtures)
+    .map(key => userFixtures[key])
+    .filter(isCompleteUser)
+    .filter(user => !findUserByName(user.username))
+    .forEach(createUser);
+
+  // Oldest first, one day apart, so the default ordering is stable.
+  const articleFixtures = loadFixture('articles');
+  const seedStart = Date.UTC(2024, 0, 1);
+  const day = 24 * 60 * 60 * 1000;
+  Object.keys(articleFixtures)
+    .map(key => articleFixtures[key])
+    .filter(isCompleteArticle)
+    .forEach((fixture, i) => {
+      const author = users[i % users.length];
+      createArticle(author, fixture, new Date(seedStart + i * day));
+    });
+
+  const first = articles[0];
+  const commentFixtures = loadFixture('comments');
+  Object.keys(commentFixtures)
+    .map(key => commentFixtures[key].body)
+    .filter(body => body)
+    .forEach((body, i) => {
+      const author = users[(i + 1) % users.length];
+      createComment(first, author, body, new Date(seedStart + day + i * 60000));
+    });
+};
+
+reset();
+
+module.exports = {
+  allTags,
+  commentsFor,
+  createArticle,
+  createComment,
+  createUser,
+  deleteArticle,
+  deleteComment,
+  findArticle,
+  findComment,
+  findUserByEmail,
+  findUserByName,
+  findUserByToken,
+  listArticles,
+  reset,
+  updateArticle,
+  updateUser
+};
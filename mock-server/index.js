@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * Starts the mock Conduit API.
+ *
+ *   npm run mock-server             # http://localhost:3000/api
+ *   MOCK_API_PORT=3001 npm run mock-server
+ */
+const { createServer } = require('./server');
+
+const port = parseInt(process.env.MOCK_API_PORT, 10) || 3000;
+
+createServer().listen(port, () => {
+  console.log(`Mock Conduit API listening on http://localhost:${port}/api`);
+});
@@ -0,0 +1,401 @@
+/**
+ * A small stand-in for the Conduit API, covering every endpoint that
+ * src/agent.js calls. Responses follow the RealWorld API spec; data is
+ * kept in memory (see ./db.js) and lost on restart.
+ */
+const http = require('http');
+const url = require('url');
+const db = require('./db');
+
+const DEFAULT_LIMIT = 20;
+
+class HttpError extends Error {
+  constructor(status, errors) {
+    super(JSON.stringify(errors));
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const notFound = what => new HttpError(404, { [what]: ['not found'] });
+const unauthorized = () => new HttpError(401, { token: ['is missing or invalid'] });
+const forbidden = what => new HttpError(403, { [what]: ['is not yours'] });
+const invalid = (field, message) => new HttpError(422, { [field]: [message] });
+
+/*
+ * Serializers
+ */
+
+const profileJSON = (user, viewer) => ({
+  username: user.username,
+  bio: user.bio,
+  image: user.image,
+  following: !!viewer && viewer.following.indexOf(user.username) !== -1
+});
+
+const userJSON = user => ({
+  email: user.email,
+  token: user.token,
+  username: user.username,
+  bio: user.bio,
+  image: user.image
+});
+
+const articleJSON = (article, viewer) => ({
+  slug: article.slug,
+  title: article.title,
+  description: article.description,
+  body: article.body,
+  tagList: article.tagList,
+  createdAt: article.createdAt,
+  updatedAt: article.updatedAt,
+  favorited: !!viewer && article.favoritedBy.indexOf(viewer.username) !== -1,
+  favoritesCount: article.favoritedBy.length,
+  author: profileJSON(db.findUserByName(article.author), viewer)
+});
+
+const commentJSON = (comment, viewer) => ({
+  id: comment.id,
+  body: comment.body,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+  author: profileJSON(db.findUserByName(comment.author), viewer)
+});
+
+const articleListJSON = (list, query, viewer) => {
+  const limit = parseInt(query.limit, 10) || DEFAULT_LIMIT;
+  const offset = parseInt(query.offset, 10) || 0;
+  return {
+    articles: list.slice(offset, offset + limit).map(a => articleJSON(a, viewer)),
+    articlesCount: list.length
+  };
+};
+
+/*
+ * Request helpers
+ */
+
+const requireUser = ctx => {
+  if (!ctx.viewer) {
+    throw unauthorized();
+  }
+  return ctx.viewer;
+};
+
+const requireArticle = slug => {
+  const article = db.findArticle(slug);
+  if (!article) {
+    throw notFound('article');
+  }
+  return article;
+};
+
+const requireProfile = username => {
+  const user = db.findUserByName(username);
+  if (!user) {
+    throw notFound('profile');
+  }
+  return user;
+};
+
+const requireFields = (obj, fields) => {
+  if (!obj) {
+    throw invalid('body', 'is missing');
+  }
+  fields.forEach(field => {
+    if (typeof obj[field] !== 'string' || !obj[field].trim()) {
+      throw invalid(field, "can't be blank");
+    }
+  });
+  return obj;
+};
+
+// `tagList` may be left out, but anything other than a list of strings
+// would break tag listing and filtering for every later request.
+const requireTagList = article => {
+  const tagList = article.tagList;
+  if (tagList !== undefined &&
+      (!Array.isArray(tagList) || tagList.some(tag => typeof tag !== 'string'))) {
+    throw invalid('tagList', 'must be a list of tags');
+  }
+  return article;
+};
+
+/*
+ * Handlers
+ */
+
+const routes = [
+  ['POST', '/users/login', ctx => {
+    const creds = requireFields(ctx.body.user, ['email', 'password']);
+    const user = db.findUserByEmail(creds.email);
+    if (!user || user.password !== creds.password) {
+      throw invalid('email or password', 'is invalid');
+    }
+    return { user: userJSON(user) };
+  }],
+
+  ['POST', '/users', ctx => {
+    const fields = requireFields(ctx.body.user, ['username', 'email', 'password']);
+    if (db.findUserByName(fields.username)) {
+      throw invalid('username', 'has already been taken');
+    }
+    if (db.findUserByEmail(fields.email)) {
+      throw invalid('email', 'has already been taken');
+    }
+    return { user: userJSON(db.createUser(fields)) };
+  }],
+
+  ['GET', '/user', ctx => ({ user: userJSON(requireUser(ctx)) })],
+
+  ['PUT', '/user', ctx => {
+    const user = requireUser(ctx);
+    const changes = ctx.body.user || {};
+    if (changes.username && changes.username !== user.username &&
+        db.findUserByName(changes.username)) {
+      throw invalid('username', 'has already been taken');
+    }
+    if (changes.email && changes.email !== user.email &&
+        db.findUserByEmail(changes.email)) {
+      throw invalid('email', 'has already been taken');
+    }
+    return { user: userJSON(db.updateUser(user, changes)) };
+  }],
+
+  ['GET', '/profiles/:username', ctx => ({
+    profile: profileJSON(requireProfile(ctx.params.username), ctx.viewer)
+  })],
+
+  ['POST', '/profiles/:username/follow', ctx => {
+    const viewer = requireUser(ctx);
+    const target = requireProfile(ctx.params.username);
+    if (viewer.following.indexOf(target.username) === -1) {
+      viewer.following.push(target.username);
+    }
+    return { profile: profileJSON(target, viewer) };
+  }],
+
+  ['DELETE', '/profiles/:username/follow', ctx => {
+    const viewer = requireUser(ctx);
+    const target = requireProfile(ctx.params.username);
+    viewer.following = viewer.following.filter(name => name !== target.username);
+    return { profile: profileJSON(target, viewer) };
+  }],
+
+  ['GET', '/articles', ctx => {
+    const list = db.listArticles({
+      author: ctx.query.author,
+      tag: ctx.query.tag,
+      favorited: ctx.query.favorited
+    });
+    return articleListJSON(list, ctx.query, ctx.viewer);
+  }],
+
+  ['GET', '/articles/feed', ctx => {
+    const viewer = requireUser(ctx);
+    const list = db.listArticles({ authors: viewer.following });
+    return articleListJSON(list, ctx.query, viewer);
+  }],
+
+  ['POST', '/articles', ctx => {
+    const author = requireUser(ctx);
+    const fields = requireTagList(
+      requireFields(ctx.body.article, ['title', 'description', 'body']));
+    const article = db.createArticle(author, fields);
+    return { article: articleJSON(article, author) };
+  }],
+
+  ['GET', '/articles/:slug', ctx => ({
+    article: articleJSON(requireArticle(ctx.params.slug), ctx.viewer)
+  })],
+
+  ['PUT', '/articles/:slug', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    if (article.author !== viewer.username) {
+      throw forbidden('article');
+    }
+    db.updateArticle(article, requireTagList(ctx.body.article || {}));
+    return { article: articleJSON(article, viewer) };
+  }],
+
+  ['DELETE', '/articles/:slug', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    if (article.author !== viewer.username) {
+      throw forbidden('article');
+    }
+    db.deleteArticle(article);
+    return {};
+  }],
+
+  ['POST', '/articles/:slug/favorite', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    if (article.favoritedBy.indexOf(viewer.username) === -1) {
+      article.favoritedBy.push(viewer.username);
+    }
+    return { article: articleJSON(article, viewer) };
+  }],
+
+  ['DELETE', '/articles/:slug/favorite', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    article.favoritedBy = article.favoritedBy.filter(name => name !== viewer.username);
+    return { article: articleJSON(article, viewer) };
+  }],
+
+  ['GET', '/articles/:slug/comments', ctx => {
+    const article = requireArticle(ctx.params.slug);
+    return {
+      comments: db.commentsFor(article.slug).map(c => commentJSON(c, ctx.viewer))
+    };
+  }],
+
+  ['POST', '/articles/:slug/comments', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    const fields = requireFields(ctx.body.comment, ['body']);
+    const comment = db.createComment(article, viewer, fields.body);
+    return { comment: commentJSON(comment, viewer) };
+  }],
+
+  ['DELETE', '/articles/:slug/comments/:id', ctx => {
+    const viewer = requireUser(ctx);
+    const article = requireArticle(ctx.params.slug);
+    const comment = db.findComment(article.slug, parseInt(ctx.params.id, 10));
+    if (!comment) {
+      throw notFound('comment');
+    }
+    if (comment.author !== viewer.username) {
+      throw forbidden('comment');
+    }
+    db.deleteComment(comment);
+    return {};
+  }],
+
+  ['GET', '/tags', () => ({ tags: db.allTags() })],
+
+  // Not part of Conduit: lets test runs start from the fixture data again.
+  ['POST', '/__reset', () => {
+    db.reset();
+    return {};
+  }]
+].map(([method, pattern, handler]) => {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { method, keys, handler, regexp: new RegExp(`^${source}$`) };
+});
+
+const decodeParam = value => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// A path with a malformed escape (e.g. `%E0%A4%A`) matches nothing.
+const matchRoute = (method, pathname) => {
+  for (const route of routes) {
+    const match = route.regexp.exec(pathname);
+    if (match && route.method === method) {
+      const params = {};
+      const decoded = route.keys.every((key, i) => {
+        params[key] = decodeParam(match[i + 1]);
+        return params[key] !== null;
+      });
+      return decoded ? { handler: route.handler, params } : null;
+    }
+  }
+  return null;
+};
+
+/*
+ * HTTP plumbing
+ */
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json; charset=utf-8'
+  }, CORS_HEADERS));
+  res.end(JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+  let data = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    if (!data) {
+      return resolve({});
+    }
+    let body;
+    try {
+      body = JSON.parse(data);
+    } catch (e) {
+      return reject(invalid('body', 'is not valid JSON'));
+    }
+    // Handlers read `body.user`, `body.article`... so anything but an
+    // object (`null` included) is turned away here.
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return reject(invalid('body', 'must be a JSON object'));
+    }
+    resolve(body);
+  });
+  req.on('error', reject);
+});
+
+const tokenFrom = req => {
+  const header = req.headers.authorization || '';
+  const match = /^(?:Token|Bearer)\s+(.+)$/.exec(header);
+  return match ? match[1] : null;
+};
+
+const createServer = ({ prefix = '/api' } = {}) => http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+
+  const { pathname, query } = url.parse(req.url, true);
+  if (pathname.indexOf(prefix) !== 0) {
+    return send(res, 404, { errors: { path: ['not found'] } });
+  }
+
+  const route = matchRoute(req.method, pathname.slice(prefix.length) || '/');
+  if (!route) {
+    return send(res, 404, { errors: { path: ['not found'] } });
+  }
+
+  readBody(req)
+    .then(body => {
+      const token = tokenFrom(req);
+      const viewer = db.findUserByToken(token);
+      if (token && !viewer) {
+        throw unauthorized();
+      }
+      return route.handler({ body, query, params: route.params, viewer });
+    })
+    .then(
+      result => send(res, 200, result),
+      err => {
+        if (err instanceof HttpError) {
+          return send(res, err.status, { errors: err.errors });
+        }
+        console.error(err);
+        send(res, 500, { errors: { server: [err.message] } });
+      }
+    );
+});
+
+module.exports = { createServer, db };
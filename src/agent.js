@@ -1,10 +1,10 @@
 import superagentPromise from 'superagent-promise';
 import _superagent from 'superagent';
+import { API_ROOT } from './apiConfig';
+import * as cache from './agentCache';
 
 const superagent = superagentPromise(_superagent, global.Promise);
 
-const API_ROOT = 'https://conduit.productionready.io/api';
-
 const encode = encodeURIComponent;
 const responseBody = res => res.body;
 
@@ -15,15 +15,154 @@ const tokenPlugin = req => {
   }
 }
 
+// Per-request options (the last argument of every `requests` method)
+// override these. Only GETs are retried, and only after a network error,
+// a timeout or a 5xx, waiting retryDelay, 2 * retryDelay, 4 * retryDelay...
+// `cache: false` skips the response cache (see ./agentCache).
+const requestDefaults = {
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 300,
+  cache: true
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = err => !err.status || err.status >= 500;
+
+// Reducers read `action.payload.errors`, so every failure is given the
+// same `{ errors: { key: [messages] } }` shape the API uses.
+const errorBody = err => {
+  const body = err.response && err.response.body;
+  if (body && body.errors) {
+    return body;
+  }
+  if (err.timeout) {
+    return { errors: { request: [`timed out after ${err.timeout}ms`] } };
+  }
+  if (err.status) {
+    return { errors: { server: [`responded with status ${err.status}`] } };
+  }
+  return { errors: { network: ['is unreachable, check your connection'] } };
+};
+
+const abortError = () => {
+  const err = new Error('Request aborted');
+  err.aborted = true;
+  err.body = { errors: { request: ['was cancelled'] } };
+  return err;
+};
+
+// GET promises have an `abort()` that cancels the XHR (or a pending
+// retry) and rejects with an error flagged `aborted`. Writes are left to
+// finish: the server may already have applied them.
+const abortable = (promise, abort) => Object.assign(promise, { abort });
+
+const fetchFromApi = (method, url, body, opts) => {
+  const retries = method === 'GET' ? opts.retries : 0;
+  let current = null;
+  let aborted = false;
+
+  const attempt = n => {
+    if (aborted) {
+      return Promise.reject(abortError());
+    }
+
+    const req = superagent(method, `${API_ROOT}${url}`)
+      .use(tokenPlugin)
+      .timeout(opts.timeout);
+    if (body !== undefined) {
+      req.send(body);
+    }
+    current = req;
+
+    return req.then(responseBody, err => {
+      if (n < retries && isRetryable(err)) {
+        return sleep(opts.retryDelay * Math.pow(2, n)).then(() => attempt(n + 1));
+      }
+      err.body = errorBody(err);
+      throw err;
+    });
+  };
+
+  if (method !== 'GET') {
+    return attempt(0);
+  }
+
+  let rejectPromise;
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    attempt(0).then(resolve, reject);
+  });
+
+  return abortable(promise, () => {
+    if (!aborted) {
+      aborted = true;
+      current.abort();
+      rejectPromise(abortError());
+    }
+  });
+};
+
+// A stale cached GET resolves with the cached body at once and carries a
+// `revalidated` promise for the fresh one.
+const send = (method, url, body, options) => {
+  const opts = { ...requestDefaults, ...options };
+
+  if (method !== 'GET') {
+    return fetchFromApi(method, url, body, opts).then(res => {
+      cache.invalidate(url);
+      return res;
+    });
+  }
+
+  if (!opts.cache || !cache.isCacheable(url)) {
+    return fetchFromApi(method, url, body, opts);
+  }
+
+  const key = cache.cacheKey(url, token);
+  const hit = cache.lookup(key);
+  if (hit && hit.fresh) {
+    return abortable(Promise.resolve(hit.body), () => {});
+  }
+
+  const request = fetchFromApi(method, url, body, opts);
+  const stored = request.then(res => {
+    cache.store(key, url, res);
+    return res;
+  });
+
+  if (hit) {
+    stored.catch(() => {});
+    return Object.assign(abortable(Promise.resolve(hit.body), request.abort), {
+      revalidated: stored
+    });
+  }
+  return abortable(stored, request.abort);
+};
+
+// Promise.all that can abort every request it is waiting on, and is
+// revalidated when any of them is.
+const all = promises => {
+  const combined = abortable(Promise.all(promises), () => {
+    promises.forEach(p => p && typeof p.abort === 'function' && p.abort());
+  });
+
+  if (promises.some(p => p && p.revalidated)) {
+    combined.revalidated = Promise.all(promises.map(p => (p && p.revalidated) || p));
+  }
+  return combined;
+};
+
 const requests = {
-  del: url =>
-    superagent.del(`${API_ROOT}${url}`).use(tokenPlugin).then(responseBody),
-  get: url =>
-    superagent.get(`${API_ROOT}${url}`).use(tokenPlugin).then(responseBody),
-  put: (url, body) =>
-    superagent.put(`${API_ROOT}${url}`, body).use(tokenPlugin).then(responseBody),
-  post: (url, body) =>
-    superagent.post(`${API_ROOT}${url}`, body).use(tokenPlugin).then(responseBody)
+  del: (url, options) =>
+    send('DELETE', url, undefined, options),
+  get: (url, options) =>
+    send('GET', url, undefined, options),
+  put: (url, body, options) =>
+    send('PUT', url, body, options),
+  post: (url, body, options) =>
+    send('POST', url, body, options)
 };
 
 const Auth = {
@@ -43,23 +182,96 @@ const Tags = {
 
 const limit = (count, p) => `limit=${count}&offset=${p ? p * count : 0}`;
 const omitSlug = article => Object.assign({}, article, { slug: undefined })
+
+// The API filters by one tag at a time, so lists for several tags are
+// combined here from each tag's newest articles, up to MAX_TAGGED of them.
+// Every page needs the whole combination to know the count; the batches
+// come from the response cache (see ./agentCache) after the first page.
+// Results leaving out older articles of a larger tag are flagged
+// `truncated`, and their count is what can actually be paged through.
+const TAGGED_BATCH = 100;
+const MAX_TAGGED = 500;
+
+const everyTagged = tag => {
+  const fetchBatch = n =>
+    requests.get(`/articles?tag=${encode(tag)}&${limit(TAGGED_BATCH, n)}`);
+  const pending = [];
+  let aborted = false;
+  const track = p => {
+    pending.push(p);
+    return p;
+  };
+
+  const promise = track(fetchBatch(0)).then(first => {
+    if (aborted) {
+      throw abortError();
+    }
+    const batches = Math.ceil(Math.min(first.articlesCount, MAX_TAGGED) / TAGGED_BATCH);
+    const rest = [];
+    for (let n = 1; n < batches; ++n) {
+      rest.push(track(fetchBatch(n)));
+    }
+    return Promise.all(rest).then(more => ({
+      articles: more.reduce((articles, batch) => articles.concat(batch.articles), first.articles),
+      truncated: first.articlesCount > MAX_TAGGED
+    }));
+  });
+
+  return abortable(promise, () => {
+    aborted = true;
+    pending.forEach(p => p.abort());
+  });
+};
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+// `match` is 'all' for articles with every tag, 'any' for at least one.
+const combineTagged = (lists, match) => {
+  const seen = {};
+  const union = [].concat(...lists).filter(article => {
+    const known = seen[article.slug];
+    seen[article.slug] = true;
+    return !known;
+  });
+  const slugSets = lists.map(list => list.map(article => article.slug));
+  const combined = match === 'all' ?
+    union.filter(article => slugSets.every(slugs => slugs.indexOf(article.slug) !== -1)) :
+    union;
+  return combined.sort(newestFirst);
+};
+// List endpoints take a 0-based page and the page size to fetch with.
 const Articles = {
-  all: page =>
-    requests.get(`/articles?${limit(10, page)}`),
-  byAuthor: (author, page) =>
-    requests.get(`/articles?author=${encode(author)}&${limit(5, page)}`),
-  byTag: (tag, page) =>
-    requests.get(`/articles?tag=${encode(tag)}&${limit(10, page)}`),
+  all: (page, size = 10) =>
+    requests.get(`/articles?${limit(size, page)}`),
+  byAuthor: (author, page, size = 10, options) =>
+    requests.get(`/articles?author=${encode(author)}&${limit(size, page)}`, options),
+  byTag: (tag, page, size = 10) =>
+    requests.get(`/articles?tag=${encode(tag)}&${limit(size, page)}`),
+  byTags: (tags, match, page, size = 10) => {
+    if (tags.length === 1) {
+      return Articles.byTag(tags[0], page, size);
+    }
+    const lists = all(tags.map(everyTagged));
+    const start = (page || 0) * size;
+    return abortable(lists.then(results => {
+      const articles = combineTagged(results.map(result => result.articles), match);
+      return {
+        articles: articles.slice(start, start + size),
+        articlesCount: articles.length,
+        truncated: results.some(result => result.truncated)
+      };
+    }), lists.abort);
+  },
   del: slug =>
     requests.del(`/articles/${slug}`),
   favorite: slug =>
     requests.post(`/articles/${slug}/favorite`),
-  favoritedBy: (author, page) =>
-    requests.get(`/articles?favorited=${encode(author)}&${limit(5, page)}`),
-  feed: () =>
-    requests.get('/articles/feed?limit=10&offset=0'),
-  get: slug =>
-    requests.get(`/articles/${slug}`),
+  favoritedBy: (author, page, size = 10, options) =>
+    requests.get(`/articles?favorited=${encode(author)}&${limit(size, page)}`, options),
+  feed: (page, size = 10) =>
+    requests.get(`/articles/feed?${limit(size, page)}`),
+  get: (slug, options) =>
+    requests.get(`/articles/${slug}`, options),
   unfavorite: slug =>
     requests.del(`/articles/${slug}/favorite`),
   update: article =>
@@ -73,8 +285,8 @@ const Comments = {
     requests.post(`/articles/${slug}/comments`, { comment }),
   delete: (slug, commentId) =>
     requests.del(`/articles/${slug}/comments/${commentId}`),
-  forArticle: slug =>
-    requests.get(`/articles/${slug}/comments`)
+  forArticle: (slug, options) =>
+    requests.get(`/articles/${slug}/comments`, options)
 };
 
 const Profile = {
@@ -92,5 +304,6 @@ export default {
   Comments,
   Profile,
   Tags,
+  all,
   setToken: _token => { token = _token; }
 };
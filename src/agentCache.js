@@ -0,0 +1,79 @@
+// Response cache for agent GETs, keyed by URL and auth token.
+//
+// A response younger than its resource's TTL is served without a request.
+// After that it is still served for STALE_FOR while a fresh copy is
+// fetched in the background (stale-while-revalidate); older entries are
+// dropped. Successful writes invalidate what they may have changed.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const STALE_FOR = 10 * MINUTE;
+const MAX_ENTRIES = 200;
+
+// First match wins; URLs that match nothing (e.g. /user) are not cached.
+const TTLS = [
+  [/^\/tags$/, 5 * MINUTE],
+  [/^\/articles\/feed\b/, 30 * SECOND],
+  [/^\/articles\?/, MINUTE],
+  [/^\/articles\/[^/?]+\/comments$/, 30 * SECOND],
+  [/^\/articles\/[^/?]+$/, 2 * MINUTE],
+  [/^\/profiles\/[^/?]+$/, 2 * MINUTE]
+];
+
+// Maps a successful write to the URL prefixes it makes stale.
+const INVALIDATIONS = [
+  [/^\/articles\/([^/?]+)\/comments/, slug => [`/articles/${slug}/comments`]],
+  [/^\/articles\/([^/?]+)\/favorite$/, slug => [`/articles/${slug}`, '/articles?', '/articles/feed']],
+  [/^\/articles/, () => ['/articles', '/tags']],
+  [/^\/profiles\/([^/?]+)\/follow$/, username => [`/profiles/${username}`, '/articles']],
+  [/^\/user$/, () => ['']]
+];
+
+const entries = new Map();
+
+const ttlFor = url => {
+  const rule = TTLS.find(([pattern]) => pattern.test(url));
+  return rule ? rule[1] : 0;
+};
+
+export const isCacheable = url => ttlFor(url) > 0;
+
+export const cacheKey = (url, token) => `${token || ''} ${url}`;
+
+// Returns `{ body, fresh }`, or null when there is nothing usable.
+export const lookup = key => {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  const age = Date.now() - entry.storedAt;
+  if (age > entry.ttl + STALE_FOR) {
+    entries.delete(key);
+    return null;
+  }
+  return { body: entry.body, fresh: age <= entry.ttl };
+};
+
+export const store = (key, url, body) => {
+  entries.delete(key);
+  entries.set(key, { url, body, ttl: ttlFor(url), storedAt: Date.now() });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+export const invalidate = url => {
+  const rule = INVALIDATIONS.find(([pattern]) => pattern.test(url));
+  if (!rule) {
+    return;
+  }
+
+  const prefixes = rule[1](...rule[0].exec(url).slice(1));
+  entries.forEach((entry, key) => {
+    if (prefixes.some(prefix => entry.url.indexOf(prefix) === 0)) {
+      entries.delete(key);
+    }
+  });
+};
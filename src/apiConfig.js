@@ -0,0 +1,47 @@
+import apiProfiles from './apiProfiles.json';
+import { parseQuery } from './queryString';
+
+// Backend selection, in order of precedence:
+//   1. `?api=<profile>` in the page URL (remembered in localStorage,
+//      `?api=default` forgets it)
+//   2. the `apiProfile` key in localStorage
+//   3. REACT_APP_API_PROFILE at build time
+//   4. `prod`
+// Each profile's root can be replaced at build time with
+// REACT_APP_API_ROOT_<PROFILE>, e.g. REACT_APP_API_ROOT_LOCAL.
+
+const STORAGE_KEY = 'apiProfile';
+const DEFAULT_PROFILE = 'prod';
+
+const profiles = Object.keys(apiProfiles).reduce((acc, name) => {
+  const override = process.env[`REACT_APP_API_ROOT_${name.toUpperCase()}`];
+  return { ...acc, [name]: override || apiProfiles[name] };
+}, {});
+
+const isProfile = name => Object.prototype.hasOwnProperty.call(profiles, name);
+
+const runtimeProfile = () => {
+  // A malformed `?api=` is ignored rather than keep the app from booting.
+  const requested = parseQuery(window.location.search).api;
+  if (requested) {
+    if (requested === 'default') {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else if (isProfile(requested)) {
+      window.localStorage.setItem(STORAGE_KEY, requested);
+    }
+  }
+  return window.localStorage.getItem(STORAGE_KEY);
+};
+
+const resolveProfile = () => {
+  const candidates = [
+    runtimeProfile(),
+    process.env.REACT_APP_API_PROFILE,
+    DEFAULT_PROFILE
+  ];
+  return candidates.find(isProfile);
+};
+
+export const API_PROFILE = resolveProfile();
+export const API_ROOT = profiles[API_PROFILE];
+export const SHOW_API_PROFILE = process.env.NODE_ENV !== 'production';
@@ -0,0 +1,55 @@
+// Orders for article lists. The API only returns newest first, so other
+// orders are applied to the articles already loaded (the current page, or
+// every page loaded so far with infinite scroll).
+
+export const SORTS = [
+  { key: 'newest', label: 'Newest' },
+  { key: 'oldest', label: 'Oldest' },
+  { key: 'favorites', label: 'Most favorited' },
+  { key: 'comments', label: 'Most commented' }
+];
+
+export const DEFAULT_SORT = 'newest';
+
+export const isSort = key => SORTS.some(sort => sort.key === key);
+
+// The order asked for in the URL, else the one last chosen for this kind
+// of feed (see ./preferences).
+export const sortFor = (requested, sorts, feed) =>
+  isSort(requested) ? requested : (sorts && sorts[feed]) || DEFAULT_SORT;
+
+// The `sort` query parameter for an order; the default is left out.
+export const sortParam = sort => sort === DEFAULT_SORT ? null : sort;
+
+const byDate = article => new Date(article.createdAt).getTime();
+
+const comparators = {
+  newest: () => (a, b) => byDate(b) - byDate(a),
+  oldest: () => (a, b) => byDate(a) - byDate(b),
+  favorites: () => (a, b) => b.favoritesCount - a.favoritesCount,
+  comments: counts => (a, b) => (counts[b.slug] || 0) - (counts[a.slug] || 0)
+};
+
+const sorted = new WeakMap();
+
+// Memoized per list and order so connected components keep getting the
+// same array until something changes.
+export const sortArticles = (articles, sort, commentCounts) => {
+  if (!articles || !isSort(sort) || sort === DEFAULT_SORT) {
+    return articles;
+  }
+
+  const cached = sorted.get(articles);
+  if (cached && cached.sort === sort && cached.commentCounts === commentCounts) {
+    return cached.value;
+  }
+
+  // Ties keep the order the API returned.
+  const compare = comparators[sort](commentCounts || {});
+  const value = articles
+    .map((article, i) => ({ article, i }))
+    .sort((a, b) => compare(a.article, b.article) || a.i - b.i)
+    .map(entry => entry.article);
+  sorted.set(articles, { sort, commentCounts, value });
+  return value;
+};
@@ -0,0 +1,72 @@
+import {
+  FORBIDDEN_TAG_CHARACTERS,
+  FORBIDDEN_TAG_MESSAGE,
+  MAX_TAG_LENGTH,
+  MAX_TAGS
+} from './tags';
+
+// Client-side checks for the editor, in the same `{ field: [messages] }`
+// shape as the API's validation errors, so both can be shown next to the
+// field. Messages leave out the field name, like the API's do.
+
+const required = value =>
+  (Array.isArray(value) ? value.length : (value || '').trim()) ? null : 'can\'t be blank';
+
+const maxLength = max => value =>
+  (value || '').length > max ? `is too long (maximum is ${max} characters)` : null;
+
+const maxCount = max => value =>
+  (value || []).length > max ? `can't be more than ${max}` : null;
+
+const eachTag = rule => value => {
+  const failed = (value || []).filter(tag => rule(tag));
+  return failed.length ? `${failed.join(', ')}: ${rule(failed[0])}` : null;
+};
+
+const allowedCharacters = tag =>
+  FORBIDDEN_TAG_CHARACTERS.test(tag) ? FORBIDDEN_TAG_MESSAGE : null;
+
+export const ARTICLE_SCHEMA = {
+  title: { label: 'Title', rules: [required, maxLength(120)] },
+  description: { label: 'Description', rules: [required, maxLength(255)] },
+  body: { label: 'Body', rules: [required, maxLength(100000)] },
+  tagList: {
+    label: 'Tags',
+    rules: [maxCount(MAX_TAGS), eachTag(maxLength(MAX_TAG_LENGTH)), eachTag(allowedCharacters)]
+  }
+};
+
+export const ARTICLE_FIELDS = Object.keys(ARTICLE_SCHEMA);
+
+export const validateArticle = article => ARTICLE_FIELDS.reduce((errors, field) => {
+  const messages = ARTICLE_SCHEMA[field].rules
+    .map(rule => rule(article[field]))
+    .filter(message => message);
+  return messages.length ? { ...errors, [field]: messages } : errors;
+}, {});
+
+// The API may name the tags field differently.
+const ALIASES = { tag_list: 'tagList', tags: 'tagList' };
+
+export const fieldOf = key => ALIASES[key] || key;
+
+// Splits the API's errors into those about an article field and the rest,
+// which have nowhere else to go than the list above the form.
+export const splitServerErrors = errors => Object.keys(errors || {}).reduce((split, key) => {
+  const field = fieldOf(key);
+  if (ARTICLE_SCHEMA[field]) {
+    return { ...split, fields: { ...split.fields, [field]: errors[key] } };
+  }
+  return { ...split, other: { ...split.other, [key]: errors[key] } };
+}, { fields: {}, other: null });
+
+// The errors without those about `field`, once it has been changed.
+export const withoutFieldErrors = (errors, field) => {
+  if (!errors) {
+    return errors;
+  }
+  const rest = Object.keys(errors)
+    .filter(key => fieldOf(key) !== field)
+    .reduce((acc, key) => ({ ...acc, [key]: errors[key] }), {});
+  return Object.keys(rest).length ? rest : null;
+};
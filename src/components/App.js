@@ -1,16 +1,24 @@
 import agent from '../agent';
 import Header from './Header';
+import Notice from './Notice';
 import React from 'react';
 import { connect } from 'react-redux';
-import { APP_LOAD, REDIRECT } from '../constants/actionTypes';
+import { loadDrafts } from '../drafts';
+import { loadPreferences } from '../preferences';
+import { loadRevisions } from '../revisions';
+import { APP_LOAD, DISMISS_NOTICE, REDIRECT } from '../constants/actionTypes';
 import { Route, Switch } from 'react-router-dom';
 import Article from '../components/Article';
+import Drafts from '../components/Drafts';
 import Editor from '../components/Editor';
 import Home from '../components/Home';
 import Login from '../components/Login';
+import MutedSettings from '../components/MutedSettings';
+import PrivateRoute, { AuthorRoute } from '../components/PrivateRoute';
 import Profile from '../components/Profile';
 import ProfileFavorites from '../components/ProfileFavorites';
 import Register from '../components/Register';
+import Search from '../components/Search';
 import Settings from '../components/Settings';
 import { store } from '../store';
 import { push } from 'react-router-redux';
@@ -20,12 +28,15 @@ const mapStateToProps = state => {
     appLoaded: state.common.appLoaded,
     appName: state.common.appName,
     currentUser: state.common.currentUser,
+    notice: state.common.notice,
     redirectTo: state.common.redirectTo
   }};
 
 const mapDispatchToProps = dispatch => ({
-  onLoad: (payload, token) =>
-    dispatch({ type: APP_LOAD, payload, token, skipTracking: true }),
+  onDismissNotice: () =>
+    dispatch({ type: DISMISS_NOTICE }),
+  onLoad: (payload, token, preferences, drafts, revisions) =>
+    dispatch({ type: APP_LOAD, payload, token, preferences, drafts, revisions, skipTracking: true }),
   onRedirect: () =>
     dispatch({ type: REDIRECT })
 });
@@ -45,7 +56,8 @@ class App extends React.Component {
       agent.setToken(token);
     }
 
-    this.props.onLoad(token ? agent.Auth.current() : null, token);
+    this.props.onLoad(token ? agent.Auth.current() : null, token, loadPreferences(), loadDrafts(),
+      loadRevisions());
   }
 
   render() {
@@ -55,14 +67,20 @@ class App extends React.Component {
           <Header
             appName={this.props.appName}
             currentUser={this.props.currentUser} />
+          <Notice
+            notice={this.props.notice}
+            onDismiss={this.props.onDismissNotice} />
             <Switch>
             <Route exact path="/" component={Home}/>
             <Route path="/login" component={Login} />
             <Route path="/register" component={Register} />
-            <Route path="/editor/:slug" component={Editor} />
-            <Route path="/editor" component={Editor} />
+            <Route path="/search" component={Search} />
+            <AuthorRoute path="/editor/:slug" component={Editor} />
+            <PrivateRoute path="/editor" component={Editor} />
+            <PrivateRoute path="/drafts" component={Drafts} />
             <Route path="/article/:id" component={Article} />
-            <Route path="/settings" component={Settings} />
+            <Route path="/settings/muted" component={MutedSettings} />
+            <PrivateRoute path="/settings" component={Settings} />
             <Route path="/@:username/favorites" component={ProfileFavorites} />
             <Route path="/@:username" component={Profile} />
             </Switch>
@@ -5,14 +5,14 @@ import { connect } from 'react-redux';
 import { DELETE_ARTICLE } from '../../constants/actionTypes';
 
 const mapDispatchToProps = dispatch => ({
-  onClickDelete: payload =>
-    dispatch({ type: DELETE_ARTICLE, payload })
+  onClickDelete: (slug, payload) =>
+    dispatch({ type: DELETE_ARTICLE, slug, payload })
 });
 
 const ArticleActions = props => {
   const article = props.article;
   const del = () => {
-    props.onClickDelete(agent.Articles.del(article.slug))
+    props.onClickDelete(article.slug, agent.Articles.del(article.slug))
   };
   if (props.canModify) {
     return (
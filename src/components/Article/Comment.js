@@ -1,5 +1,6 @@
 import DeleteButton from './DeleteButton';
 import { Link } from 'react-router-dom';
+import Markdown from '../Markdown';
 import React from 'react';
 
 const Comment = props => {
@@ -9,7 +10,10 @@ const Comment = props => {
   return (
     <div className="card">
       <div className="card-block">
-        <p className="card-text">{comment.body}</p>
+        <Markdown
+          className="card-text"
+          source={comment.body}
+          idPrefix={`comment-${comment.id}-`} />
       </div>
       <div className="card-footer">
         <Link
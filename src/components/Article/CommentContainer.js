@@ -2,6 +2,7 @@ import CommentInput from './CommentInput';
 import CommentList from './CommentList';
 import { Link } from 'react-router-dom';
 import React from 'react';
+import { withReturnPath } from '../../returnPath';
 
 const CommentContainer = props => {
   if (props.currentUser) {
@@ -19,12 +20,13 @@ const CommentContainer = props => {
       </div>
     );
   } else {
+    const returnPath = `/article/${props.slug}`;
     return (
       <div className="col-xs-12 col-md-8 offset-md-2">
         <p>
-          <Link to="/login">Sign in</Link>
+          <Link to={withReturnPath('/login', returnPath)}>Sign in</Link>
           &nbsp;or&nbsp;
-          <Link to="/register">sign up</Link>
+          <Link to={withReturnPath('/register', returnPath)}>sign up</Link>
           &nbsp;to add comments on this article.
         </p>
 
@@ -4,8 +4,8 @@ import { connect } from 'react-redux';
 import { ADD_COMMENT } from '../../constants/actionTypes';
 
 const mapDispatchToProps = dispatch => ({
-  onSubmit: payload =>
-    dispatch({ type: ADD_COMMENT, payload })
+  onSubmit: (payload, slug) =>
+    dispatch({ type: ADD_COMMENT, payload, slug })
 });
 
 class CommentInput extends React.Component {
@@ -24,7 +24,7 @@ class CommentInput extends React.Component {
       const payload = agent.Comments.create(this.props.slug,
         { body: this.state.body });
       this.setState({ body: '' });
-      this.props.onSubmit(payload);
+      this.props.onSubmit(payload, this.props.slug);
     };
   }
 
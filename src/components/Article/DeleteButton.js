@@ -4,14 +4,14 @@ import { connect } from 'react-redux';
 import { DELETE_COMMENT } from '../../constants/actionTypes';
 
 const mapDispatchToProps = dispatch => ({
-  onClick: (payload, commentId) =>
-    dispatch({ type: DELETE_COMMENT, payload, commentId })
+  onClick: (payload, slug, commentId) =>
+    dispatch({ type: DELETE_COMMENT, payload, slug, commentId })
 });
 
 const DeleteButton = props => {
   const del = () => {
     const payload = agent.Comments.delete(props.slug, props.commentId);
-    props.onClick(payload, props.commentId);
+    props.onClick(payload, props.slug, props.commentId);
   };
 
   if (props.show) {
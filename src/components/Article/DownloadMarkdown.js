@@ -0,0 +1,16 @@
+import React from 'react';
+import { saveFile } from '../../download';
+import { markdownFileName, toMarkdownFile } from '../../markdownFile';
+
+const DownloadMarkdown = props => {
+  const download = () =>
+    saveFile(markdownFileName(props.article), toMarkdownFile(props.article), 'text/markdown;charset=utf-8');
+
+  return (
+    <button className="btn btn-outline-secondary btn-sm download-markdown" onClick={download}>
+      <i className="ion-android-download"></i> Download as Markdown
+    </button>
+  );
+};
+
+export default DownloadMarkdown;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { sameContent } from '../../drafts';
+import { diffWords, hasChanges } from '../../wordDiff';
+import './RevisionHistory.css';
+
+const revisionLabel = (revision, i) => revision.savedAt ?
+  `Revision ${i + 1} · ${new Date(revision.savedAt).toLocaleString()}` :
+  `Revision ${i + 1} · published earlier`;
+
+const DiffParts = props => (
+  <div className={`revision-diff-text ${props.className || ''}`}>
+    {
+      props.parts.map((part, i) => {
+        if (part.type === 'insert') {
+          return <ins key={i}>{part.text}</ins>;
+        }
+        if (part.type === 'delete') {
+          return <del key={i}>{part.text}</del>;
+        }
+        return <span key={i}>{part.text}</span>;
+      })
+    }
+  </div>
+);
+
+const TagChanges = props => {
+  const removed = props.from.filter(tag => props.to.indexOf(tag) === -1);
+  const added = props.to.filter(tag => props.from.indexOf(tag) === -1);
+  return (
+    <div className="revision-diff-text">
+      {removed.map(tag => <del className="tag-default tag-pill" key={`-${tag}`}>{tag}</del>)}
+      {added.map(tag => <ins className="tag-default tag-pill" key={`+${tag}`}>{tag}</ins>)}
+    </div>
+  );
+};
+
+// What changed from one revision to another, field by field.
+const RevisionDiff = props => {
+  const { from, to } = props;
+  const texts = [
+    { label: 'Title', parts: diffWords(from.title, to.title) },
+    { label: 'Description', parts: diffWords(from.description, to.description) },
+    { label: 'Body', parts: diffWords(from.body, to.body), className: 'revision-diff-body' }
+  ].filter(field => hasChanges(field.parts));
+  const tagsChanged = from.tagList.join(',') !== to.tagList.join(',');
+
+  if (!texts.length && !tagsChanged) {
+    return <p className="text-muted revision-diff">These revisions are the same.</p>;
+  }
+  return (
+    <div className="revision-diff">
+      {
+        texts.map(field => (
+          <div key={field.label}>
+            <h6>{field.label}</h6>
+            <DiffParts parts={field.parts} className={field.className} />
+          </div>
+        ))
+      }
+      {
+        tagsChanged ?
+          <div>
+            <h6>Tags</h6>
+            <TagChanges from={from.tagList} to={to.tagList} />
+          </div> :
+          null
+      }
+    </div>
+  );
+};
+
+// The versions of the article published from this browser (see
+// ../../revisions), for its author: any two can be compared and any but
+// the current one restored into the editor.
+class RevisionHistory extends React.Component {
+  constructor() {
+    super();
+    this.state = { open: false, from: 0, to: 0 };
+
+    this.toggle = () => {
+      const last = this.props.revisions.length - 1;
+      this.setState({ open: !this.state.open, from: Math.max(last - 1, 0), to: last });
+    };
+    this.changeFrom = ev => this.setState({ from: Number(ev.target.value) });
+    this.changeTo = ev => this.setState({ to: Number(ev.target.value) });
+    this.restore = revision => () => this.props.onRestore(revision);
+  }
+
+  render() {
+    const revisions = this.props.revisions;
+    const count = revisions.length;
+
+    return (
+      <div className="revision-history">
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary history-toggle"
+          aria-expanded={this.state.open}
+          onClick={this.toggle}>
+          <i className="ion-clock"></i> History ({count} {count === 1 ? 'revision' : 'revisions'})
+        </button>
+
+        {
+          this.state.open ?
+            <div className="revision-panel">
+              <ul className="list-group revision-list">
+                {
+                  revisions.map((revision, i) => (
+                    <li className="list-group-item revision-item" key={i}>
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-primary pull-xs-right revision-restore"
+                        disabled={sameContent(revision, this.props.article)}
+                        onClick={this.restore(revision)}>
+                        Restore
+                      </button>
+                      {revisionLabel(revision, i)}
+                    </li>
+                  )).reverse()
+                }
+              </ul>
+
+              {
+                count > 1 ?
+                  <div className="revision-compare">
+                    <div className="form-inline">
+                      Compare
+                      {' '}
+                      <select
+                        className="form-control form-control-sm revision-from"
+                        value={this.state.from}
+                        onChange={this.changeFrom}>
+                        {revisions.map((revision, i) => <option key={i} value={i}>{revisionLabel(revision, i)}</option>)}
+                      </select>
+                      {' '}
+                      with
+                      {' '}
+                      <select
+                        className="form-control form-control-sm revision-to"
+                        value={this.state.to}
+                        onChange={this.changeTo}>
+                        {revisions.map((revision, i) => <option key={i} value={i}>{revisionLabel(revision, i)}</option>)}
+                      </select>
+                    </div>
+                    <RevisionDiff from={revisions[this.state.from]} to={revisions[this.state.to]} />
+                  </div> :
+                  <p className="text-muted">Publish changes to this article to compare versions.</p>
+              }
+            </div> :
+            null
+        }
+      </div>
+    );
+  }
+}
+
+export default RevisionHistory;
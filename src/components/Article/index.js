@@ -1,26 +1,64 @@
 import ArticleMeta from './ArticleMeta';
 import CommentContainer from './CommentContainer';
+import DownloadMarkdown from './DownloadMarkdown';
+import ListErrors from '../ListErrors';
+import Markdown from '../Markdown';
 import React from 'react';
+import RevisionHistory from './RevisionHistory';
 import agent from '../../agent';
 import { connect } from 'react-redux';
-import marked from 'marked';
-import { ARTICLE_PAGE_LOADED, ARTICLE_PAGE_UNLOADED } from '../../constants/actionTypes';
+import { draftFields, draftKey } from '../../drafts';
+import { getArticle, getComments } from '../../selectors';
+import {
+  ARTICLE_PAGE_LOADED,
+  ARTICLE_PAGE_UNLOADED,
+  DRAFT_SAVED
+} from '../../constants/actionTypes';
 
 const mapStateToProps = state => ({
-  ...state.article,
-  currentUser: state.common.currentUser
+  article: getArticle(state, state.article.slug),
+  comments: getComments(state, state.article.commentIds),
+  commentErrors: state.article.commentErrors,
+  currentUser: state.common.currentUser,
+  drafts: state.drafts,
+  errors: state.article.errors,
+  revisions: state.revisions[state.article.slug]
 });
 
 const mapDispatchToProps = dispatch => ({
   onLoad: payload =>
     dispatch({ type: ARTICLE_PAGE_LOADED, payload }),
+  onSaveDraft: (key, draft) =>
+    dispatch({ type: DRAFT_SAVED, key, draft }),
   onUnload: () =>
     dispatch({ type: ARTICLE_PAGE_UNLOADED })
 });
 
 class Article extends React.Component {
+  constructor() {
+    super();
+
+    // A restored revision is opened in the editor as a draft, so it is
+    // only published once the author says so.
+    this.restoreRevision = revision => {
+      const slug = this.props.article.slug;
+      const key = draftKey(this.props.currentUser.username, slug);
+      const replace = !this.props.drafts[key] ||
+        window.confirm('Replace your unsaved draft of this article with this revision?');
+      if (!replace) {
+        return;
+      }
+      this.props.onSaveDraft(key, {
+        ...draftFields(revision),
+        slug,
+        savedAt: new Date().toISOString()
+      });
+      this.props.history.push({ pathname: `/editor/${slug}`, state: { restoreDraft: true } });
+    };
+  }
+
   componentWillMount() {
-    this.props.onLoad(Promise.all([
+    this.props.onLoad(agent.all([
       agent.Articles.get(this.props.match.params.id),
       agent.Comments.forArticle(this.props.match.params.id)
     ]));
@@ -32,10 +70,15 @@ class Article extends React.Component {
 
   render() {
     if (!this.props.article) {
-      return null;
+      return this.props.errors ?
+        <div className="article-page">
+          <div className="container page">
+            <ListErrors errors={this.props.errors} />
+          </div>
+        </div> :
+        null;
     }
 
-    const markup = { __html: marked(this.props.article.body, { sanitize: true }) };
     const canModify = this.props.currentUser &&
       this.props.currentUser.username === this.props.article.author.username;
     return (
@@ -48,6 +91,7 @@ class Article extends React.Component {
             <ArticleMeta
               article={this.props.article}
               canModify={canModify} />
+            <DownloadMarkdown article={this.props.article} />
 
           </div>
         </div>
@@ -57,7 +101,7 @@ class Article extends React.Component {
           <div className="row article-content">
             <div className="col-xs-12">
 
-              <div dangerouslySetInnerHTML={markup}></div>
+              <Markdown className="article-body" source={this.props.article.body} />
 
               <ul className="tag-list">
                 {
@@ -76,6 +120,15 @@ class Article extends React.Component {
             </div>
           </div>
 
+          {
+            canModify && this.props.revisions ?
+              <RevisionHistory
+                article={this.props.article}
+                revisions={this.props.revisions}
+                onRestore={this.restoreRevision} /> :
+              null
+          }
+
           <hr />
 
           <div className="article-actions">
@@ -1,38 +1,308 @@
 import ArticlePreview from './ArticlePreview';
+import ListErrors from './ListErrors';
 import ListPagination from './ListPagination';
 import React from 'react';
+import agent from '../agent';
+import { PAGE_SIZES } from '../preferences';
+import { sortArticles } from '../articleSort';
+import { connect } from 'react-redux';
+import { Link, withRouter } from 'react-router-dom';
+import {
+  COMMENT_COUNT_LOADED,
+  LOAD_MORE_ARTICLES,
+  SET_PAGE,
+  SET_PREFERENCE
+} from '../constants/actionTypes';
 
-const ArticleList = props => {
-  if (!props.articles) {
-    return (
-      <div className="article-preview">Loading...</div>
-    );
+// Pages loaded and scroll offset of infinite lists the user has left, by
+// URL, so that coming back to one (e.g. from an article) restores it.
+const scrollMemory = {};
+
+const pagesBetween = (from, to) => {
+  const pages = [];
+  for (let i = from; i <= to; ++i) {
+    pages.push(i);
   }
+  return pages;
+};
 
-  if (props.articles.length === 0) {
-    return (
-      <div className="article-preview">
-        No articles are here... yet.
-      </div>
-    );
+const mapStateToProps = state => ({
+  commentCounts: state.entities.commentCounts,
+  errors: state.articleList.errors,
+  lastLoadedPage: state.articleList.lastLoadedPage,
+  listMode: state.preferences.listMode,
+  loadingMore: state.articleList.loadingMore,
+  pageSize: state.articleList.pageSize || 10,
+  preferredPageSize: state.preferences.pageSize
+});
+
+const mapDispatchToProps = dispatch => ({
+  // Returns the request, so a failed count can be tried again.
+  onLoadCommentCount: slug => {
+    const payload = agent.Comments.forArticle(slug);
+    dispatch({ type: COMMENT_COUNT_LOADED, slug, payload });
+    return payload;
+  },
+  onLoadMore: (pager, pages) => dispatch({
+    type: LOAD_MORE_ARTICLES,
+    page: pages[pages.length - 1],
+    payload: agent.all(pages.map(page => pager(page)))
+  }),
+  onSetListMode: listMode =>
+    dispatch({ type: SET_PREFERENCE, key: 'listMode', value: listMode }),
+  onSetPageSize: pageSize =>
+    dispatch({ type: SET_PREFERENCE, key: 'pageSize', value: pageSize }),
+  onSetPage: (page, payload) =>
+    dispatch({ type: SET_PAGE, page, payload })
+});
+
+const HiddenNotice = props => {
+  if (!props.count) {
+    return null;
   }
 
   return (
-    <div>
-      {
-        props.articles.map(article => {
-          return (
-            <ArticlePreview article={article} key={article.slug} />
-          );
-        })
-      }
+    <div className="article-preview hidden-notice">
+      {props.count} {props.count === 1 ? 'article' : 'articles'} hidden
+      by your muted authors and tags. <Link to="/settings/muted">Manage muted</Link>
+    </div>
+  );
+};
+
+// The page that loaded the list reloads it when the page size changes.
+const ListOptions = props => {
+  const infinite = props.listMode === 'infinite';
+  const onClick = ev => {
+    ev.preventDefault();
+    props.onChangeListMode(infinite ? 'pages' : 'infinite');
+  };
+  const onChangePageSize = ev =>
+    props.onChangePageSize(parseInt(ev.target.value, 10));
+
+  return (
+    <div className="list-options">
+      <label className="page-size">
+        Per page{' '}
+        <select value={props.pageSize} onChange={onChangePageSize}>
+          {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+        </select>
+      </label>
 
-      <ListPagination
-        pager={props.pager}
-        articlesCount={props.articlesCount}
-        currentPage={props.currentPage} />
+      <div className="list-mode">
+        <button className="btn btn-sm btn-link" onClick={onClick}>
+          {infinite ? 'Show numbered pages' : 'Switch to infinite scroll'}
+        </button>
+      </div>
     </div>
   );
 };
 
-export default ArticleList;
+class ArticleList extends React.Component {
+  constructor() {
+    super();
+
+    this.setSentinel = node => {
+      this.sentinel = node;
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+      if (node && typeof window.IntersectionObserver === 'function') {
+        this.observer = new window.IntersectionObserver(entries => {
+          if (entries.some(entry => entry.isIntersecting)) {
+            this.loadMore();
+          }
+        }, { rootMargin: '200px' });
+        this.observer.observe(node);
+      }
+    };
+
+    this.loadMore = () => {
+      if (this.hasMore() && !this.props.loadingMore) {
+        this.props.onLoadMore(this.props.pager, [this.props.lastLoadedPage + 1]);
+      }
+    };
+
+    this.changeListMode = listMode => {
+      // Go back to the page the list started at rather than showing every
+      // page infinite scroll appended under a single page number.
+      const { currentPage, lastLoadedPage, pager } = this.props;
+      if (listMode === 'pages' && pager && lastLoadedPage > currentPage) {
+        this.props.onSetPage(currentPage, pager(currentPage));
+      }
+      this.props.onSetListMode(listMode);
+    };
+  }
+
+  componentWillMount() {
+    const key = this.memoryKey();
+    if (this.props.history.action === 'POP' && this.props.listMode === 'infinite') {
+      this.restoring = scrollMemory[key];
+    }
+    delete scrollMemory[key];
+  }
+
+  componentDidMount() {
+    this.countComments();
+    this.restore();
+  }
+
+  componentDidUpdate(prevProps) {
+    // The observer only reports changes, so look again in case the
+    // sentinel is still in view after the new page rendered.
+    if (prevProps.loadingMore && !this.props.loadingMore && this.observer) {
+      this.observer.unobserve(this.sentinel);
+      this.observer.observe(this.sentinel);
+    }
+    this.countComments(prevProps.articles !== this.props.articles);
+    this.restore();
+  }
+
+  componentWillUnmount() {
+    this.setSentinel(null);
+    if (this.isInfinite() && this.props.articles) {
+      scrollMemory[this.memoryKey()] = {
+        lastLoadedPage: this.props.lastLoadedPage,
+        scrollY: window.pageYOffset
+      };
+    }
+  }
+
+  memoryKey() {
+    return this.props.location.pathname + this.props.location.search;
+  }
+
+  isInfinite() {
+    return this.props.listMode === 'infinite' && !!this.props.pager;
+  }
+
+  hasMore() {
+    return (this.props.lastLoadedPage + 1) * this.props.pageSize < this.props.articlesCount;
+  }
+
+  // Sorting by comments needs each article's comments. Each article is
+  // counted once; a count that failed is tried again the next time the
+  // list changes.
+  countComments(listChanged) {
+    if (this.props.sort !== 'comments' || !this.props.articles) {
+      return;
+    }
+    // By slug: 'pending' while a count is in flight, 'failed' after.
+    const requested = this.requested || {};
+    this.requested = listChanged ?
+      Object.keys(requested)
+        .filter(slug => requested[slug] !== 'failed')
+        .reduce((acc, slug) => ({ ...acc, [slug]: requested[slug] }), {}) :
+      requested;
+
+    const counts = this.props.commentCounts;
+    this.props.articles
+      .map(article => article.slug)
+      .filter(slug => counts[slug] === undefined && !this.requested[slug])
+      .forEach(slug => {
+        this.requested[slug] = 'pending';
+        this.props.onLoadCommentCount(slug).then(null, () => {
+          this.requested[slug] = 'failed';
+        });
+      });
+  }
+
+  // Reload the pages the user had scrolled through, then their position.
+  restore() {
+    const saved = this.restoring;
+    if (!saved || !this.props.articles || this.props.loadingMore) {
+      return;
+    }
+
+    if (this.props.lastLoadedPage < saved.lastLoadedPage && !saved.requested) {
+      saved.requested = true;
+      this.props.onLoadMore(
+        this.props.pager,
+        pagesBetween(this.props.lastLoadedPage + 1, saved.lastLoadedPage)
+      );
+      return;
+    }
+
+    this.restoring = null;
+    window.scrollTo(0, saved.scrollY);
+  }
+
+  renderFooter() {
+    if (!this.isInfinite()) {
+      return (
+        <ListPagination
+          pager={this.props.pager}
+          pageHref={this.props.pageHref}
+          pageSize={this.props.pageSize}
+          articlesCount={this.props.articlesCount}
+          currentPage={this.props.currentPage} />
+      );
+    }
+
+    if (!this.hasMore()) {
+      return null;
+    }
+
+    // Browsers without IntersectionObserver get the button only.
+    return (
+      <div className="list-sentinel" ref={this.setSentinel}>
+        <button
+          className="btn btn-sm btn-outline-primary"
+          disabled={this.props.loadingMore}
+          onClick={this.loadMore}>
+          {this.props.loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      </div>
+    );
+  }
+
+  render() {
+    const articles = sortArticles(this.props.articles, this.props.sort, this.props.commentCounts);
+    // A failed load keeps the list it replaced, if there was one.
+    if (this.props.errors && !(articles && articles.length)) {
+      return <ListErrors errors={this.props.errors} />;
+    }
+    if (!articles) {
+      return (
+        <div className="article-preview">Loading...</div>
+      );
+    }
+
+    if (articles.length === 0 && !this.props.hiddenCount) {
+      return (
+        <div className="article-preview">
+          No articles are here... yet.
+        </div>
+      );
+    }
+
+    return (
+      <div>
+        <ListErrors errors={this.props.errors} />
+        <HiddenNotice count={this.props.hiddenCount} />
+
+        {
+          articles.map(article => {
+            return (
+              <ArticlePreview article={article} canMute={this.props.canMute} key={article.slug} />
+            );
+          })
+        }
+
+        {this.renderFooter()}
+
+        {
+          this.props.pager && this.props.articlesCount > PAGE_SIZES[0] ?
+            <ListOptions
+              listMode={this.props.listMode}
+              pageSize={this.props.preferredPageSize}
+              onChangeListMode={this.changeListMode}
+              onChangePageSize={this.props.onSetPageSize} /> :
+            null
+        }
+      </div>
+    );
+  }
+}
+
+export default withRouter(connect(mapStateToProps, mapDispatchToProps)(ArticleList));
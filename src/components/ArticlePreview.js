@@ -1,17 +1,28 @@
+import MuteMenu from './MuteMenu';
 import React from 'react';
 import { Link } from 'react-router-dom';
 import agent from '../agent';
 import { connect } from 'react-redux';
-import { ARTICLE_FAVORITED, ARTICLE_UNFAVORITED } from '../constants/actionTypes';
+import {
+  ARTICLE_FAVORITED,
+  ARTICLE_UNFAVORITED,
+  MUTE
+} from '../constants/actionTypes';
 
 const FAVORITED_CLASS = 'btn btn-sm btn-primary';
 const NOT_FAVORITED_CLASS = 'btn btn-sm btn-outline-primary';
 
+const mapStateToProps = state => ({
+  currentUser: state.common.currentUser
+});
+
 const mapDispatchToProps = dispatch => ({
   favorite: slug => dispatch({
     type: ARTICLE_FAVORITED,
     payload: agent.Articles.favorite(slug)
   }),
+  onMute: (kind, name) =>
+    dispatch({ type: MUTE, kind, name }),
   unfavorite: slug => dispatch({
     type: ARTICLE_UNFAVORITED,
     payload: agent.Articles.unfavorite(slug)
@@ -33,6 +44,9 @@ const ArticlePreview = props => {
     }
   };
 
+  const isOwnArticle = props.currentUser &&
+    props.currentUser.username === article.author.username;
+
   return (
     <div className="article-preview">
       <div className="article-meta">
@@ -50,7 +64,15 @@ const ArticlePreview = props => {
         </div>
 
         <div className="pull-xs-right">
-          <button className={favoriteButtonClass} onClick={handleClick}>
+          {
+            props.canMute ?
+              <MuteMenu
+                article={article}
+                canMuteAuthor={!isOwnArticle}
+                onMute={props.onMute} /> :
+              null
+          }
+          <button className={`${favoriteButtonClass} favorite-toggle`} onClick={handleClick}>
             <i className="ion-heart"></i> {article.favoritesCount}
           </button>
         </div>
@@ -76,4 +98,4 @@ const ArticlePreview = props => {
   );
 }
 
-export default connect(() => ({}), mapDispatchToProps)(ArticlePreview);
+export default connect(mapStateToProps, mapDispatchToProps)(ArticlePreview);
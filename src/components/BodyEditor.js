@@ -0,0 +1,164 @@
+import Markdown from './Markdown';
+import React from 'react';
+import './BodyEditor.css';
+
+const EDITOR_MODES = [
+  { value: 'write', label: 'Write' },
+  { value: 'preview', label: 'Preview' },
+  { value: 'split', label: 'Side by side' }
+];
+
+const scrollRatio = el => {
+  const range = el.scrollHeight - el.clientHeight;
+  return range > 0 ? el.scrollTop / range : 0;
+};
+
+// Returns whether `el` actually moved.
+const scrollToRatio = (el, ratio) => {
+  const top = Math.round(ratio * (el.scrollHeight - el.clientHeight));
+  if (top === el.scrollTop) {
+    return false;
+  }
+  el.scrollTop = top;
+  return true;
+};
+
+// The article body textarea with a rendered preview, either on its own tab
+// or side by side with scrolling kept in step, and a full-screen mode for
+// writing without the rest of the page.
+class BodyEditor extends React.Component {
+  constructor() {
+    super();
+    this.state = { fullscreen: false };
+
+    this.changeMode = mode => ev => {
+      ev.preventDefault();
+      this.props.onChangeMode(mode);
+    };
+
+    this.toggleFullscreen = ev => {
+      ev.preventDefault();
+      this.setState({ fullscreen: !this.state.fullscreen });
+    };
+
+    this.exitOnEscape = ev => {
+      if (ev.keyCode === 27) {
+        this.setState({ fullscreen: false });
+      }
+    };
+
+    // Moving one pane scrolls the other, which fires its own scroll event;
+    // `syncing` names the pane to ignore once.
+    this.syncFrom = (source, target) => ev => {
+      if (this.props.mode !== 'split' || !this[target]) {
+        return;
+      }
+      if (this.syncing === source) {
+        this.syncing = null;
+        return;
+      }
+      if (scrollToRatio(this[target], scrollRatio(ev.target))) {
+        this.syncing = target;
+      }
+    };
+    this.syncFromText = this.syncFrom('textarea', 'preview');
+    this.syncFromPreview = this.syncFrom('preview', 'textarea');
+
+    this.textareaRef = el => { this.textarea = el; };
+    this.previewRef = el => { this.preview = el; };
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (this.state.fullscreen !== prevState.fullscreen) {
+      if (this.state.fullscreen) {
+        document.addEventListener('keydown', this.exitOnEscape);
+      } else {
+        document.removeEventListener('keydown', this.exitOnEscape);
+      }
+      document.body.classList.toggle('body-editor-open', this.state.fullscreen);
+    }
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.exitOnEscape);
+    document.body.classList.remove('body-editor-open');
+  }
+
+  render() {
+    const mode = this.props.mode;
+    const showText = mode !== 'preview';
+    const showPreview = mode !== 'write';
+    const paneClass = mode === 'split' ? 'col-md-6 col-xs-12' : 'col-xs-12';
+    const className = [
+      'body-editor',
+      `body-editor-${mode}`,
+      this.state.fullscreen ? 'body-editor-fullscreen' : ''
+    ].join(' ');
+
+    return (
+      <div className={className}>
+        <div className="body-editor-toolbar">
+          <ul className="nav nav-pills">
+            {
+              EDITOR_MODES.map(option => (
+                <li className="nav-item" key={option.value}>
+                  <a
+                    href=""
+                    className={`nav-link ${option.value === mode ? 'active' : ''}`}
+                    onClick={this.changeMode(option.value)}>
+                    {option.label}
+                  </a>
+                </li>
+              ))
+            }
+          </ul>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary body-editor-fullscreen-toggle"
+            aria-pressed={this.state.fullscreen}
+            title={this.state.fullscreen ? 'Exit full screen (Esc)' : 'Full screen'}
+            onClick={this.toggleFullscreen}>
+            <i className={this.state.fullscreen ? 'ion-arrow-shrink' : 'ion-arrow-expand'}></i>
+          </button>
+        </div>
+
+        <div className="row body-editor-panes">
+          {
+            showText ?
+              <div className={paneClass}>
+                <textarea
+                  className="form-control"
+                  rows="8"
+                  placeholder="Write your article (in markdown)"
+                  value={this.props.value}
+                  onChange={this.props.onChange}
+                  onBlur={this.props.onBlur}
+                  onScroll={this.syncFromText}
+                  ref={this.textareaRef}>
+                </textarea>
+              </div> :
+              null
+          }
+          {
+            showPreview ?
+              <div className={paneClass}>
+                <div
+                  className="body-preview article-content"
+                  onScroll={this.syncFromPreview}
+                  ref={this.previewRef}>
+                  {
+                    this.props.value ?
+                      <Markdown className="article-body" source={this.props.value} /> :
+                      <p className="body-preview-empty">Nothing to preview yet.</p>
+                  }
+                </div>
+              </div> :
+              null
+          }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default BodyEditor;
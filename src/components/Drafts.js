@@ -0,0 +1,79 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import { draftKey } from '../drafts';
+import { DRAFT_DISCARDED } from '../constants/actionTypes';
+
+// The current user's drafts, newest first.
+const userDrafts = (drafts, username) => Object.keys(drafts)
+  .filter(key => key.indexOf(draftKey(username, '')) === 0)
+  .map(key => ({ ...drafts[key], key }))
+  .sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+
+const mapStateToProps = state => ({
+  drafts: userDrafts(state.drafts, state.common.currentUser.username)
+});
+
+const mapDispatchToProps = dispatch => ({
+  onDiscard: key =>
+    dispatch({ type: DRAFT_DISCARDED, key })
+});
+
+const DraftItem = props => {
+  const draft = props.draft;
+  const discard = ev => {
+    ev.preventDefault();
+    props.onDiscard(draft.key);
+  };
+  const editor = {
+    pathname: draft.slug ? `/editor/${draft.slug}` : '/editor',
+    state: { restoreDraft: true }
+  };
+
+  return (
+    <li className="list-group-item draft-item">
+      <button className="btn btn-sm btn-outline-danger pull-xs-right" onClick={discard}>
+        Discard
+      </button>
+      <Link to={editor}>
+        <h5>{draft.title || 'Untitled'}</h5>
+      </Link>
+      <small className="text-muted">
+        {draft.slug ? <span>Changes to <Link to={`/article/${draft.slug}`}>{draft.slug}</Link></span> : 'New article'}
+        {' · saved '}
+        {new Date(draft.savedAt).toLocaleString()}
+      </small>
+    </li>
+  );
+};
+
+// Lists the editor drafts kept in this browser.
+const Drafts = props => (
+  <div className="drafts-page">
+    <div className="container page">
+      <div className="row">
+        <div className="col-md-8 offset-md-2 col-xs-12">
+
+          <h1 className="text-xs-center">Drafts</h1>
+
+          {
+            props.drafts.length ?
+              <ul className="list-group draft-list">
+                {
+                  props.drafts.map(draft => (
+                    <DraftItem key={draft.key} draft={draft} onDiscard={props.onDiscard} />
+                  ))
+                }
+              </ul> :
+              <p className="text-xs-center drafts-empty">
+                No drafts. Anything you write in the <Link to="/editor">editor</Link> is kept here until it is published.
+              </p>
+          }
+
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default connect(mapStateToProps, mapDispatchToProps)(Drafts);
@@ -1,38 +1,108 @@
+import BodyEditor from './BodyEditor';
+import ImportMarkdown from './ImportMarkdown';
+import LeaveGuard from './LeaveGuard';
+import { Link } from 'react-router-dom';
 import ListErrors from './ListErrors';
 import React from 'react';
+import TagInput from './TagInput';
 import agent from '../agent';
 import { connect } from 'react-redux';
+import { draftFields, draftKey, isBlank, sameContent } from '../drafts';
+import { getKnownTags } from '../selectors';
+import {
+  ARTICLE_FIELDS,
+  ARTICLE_SCHEMA,
+  splitServerErrors,
+  validateArticle
+} from '../articleValidation';
 import {
   ADD_TAG,
+  ARTICLE_IMPORTED,
+  DRAFT_DISCARDED,
+  DRAFT_RESTORED,
+  DRAFT_SAVED,
+  EDITOR_TAGS_LOADED,
   EDITOR_PAGE_LOADED,
   REMOVE_TAG,
   ARTICLE_SUBMITTED,
   EDITOR_PAGE_UNLOADED,
+  SET_PREFERENCE,
   UPDATE_FIELD_EDITOR
 } from '../constants/actionTypes';
 
 const mapStateToProps = state => ({
-  ...state.editor
+  ...state.editor,
+  currentUser: state.common.currentUser,
+  drafts: state.drafts,
+  editorMode: state.preferences.editorMode,
+  knownTags: getKnownTags(state)
 });
 
 const mapDispatchToProps = dispatch => ({
-  onAddTag: () =>
-    dispatch({ type: ADD_TAG }),
+  onAddTag: tag =>
+    dispatch({ type: ADD_TAG, tag }),
+  onChangeEditorMode: mode =>
+    dispatch({ type: SET_PREFERENCE, key: 'editorMode', value: mode }),
+  onDiscardDraft: key =>
+    dispatch({ type: DRAFT_DISCARDED, key }),
+  onImport: article =>
+    dispatch({ type: ARTICLE_IMPORTED, article }),
   onLoad: payload =>
     dispatch({ type: EDITOR_PAGE_LOADED, payload }),
+  onLoadTags: () =>
+    dispatch({ type: EDITOR_TAGS_LOADED, payload: agent.Tags.getAll() }),
   onRemoveTag: tag =>
     dispatch({ type: REMOVE_TAG, tag }),
-  onSubmit: payload =>
-    dispatch({ type: ARTICLE_SUBMITTED, payload }),
+  onRestoreDraft: draft =>
+    dispatch({ type: DRAFT_RESTORED, draft }),
+  onSaveDraft: (key, draft) =>
+    dispatch({ type: DRAFT_SAVED, key, draft }),
+  onSubmit: (payload, draftKey, previous) =>
+    dispatch({ type: ARTICLE_SUBMITTED, payload, draftKey, previous }),
   onUnload: payload =>
     dispatch({ type: EDITOR_PAGE_UNLOADED }),
   onUpdateField: (key, value) =>
     dispatch({ type: UPDATE_FIELD_EDITOR, key, value })
 });
 
+const DRAFT_SAVE_DELAY = 500;
+
+const DraftOffer = props => (
+  <div className="alert alert-info draft-offer">
+    You have an unsaved draft from {new Date(props.draft.savedAt).toLocaleString()}.
+    {' '}
+    <button type="button" className="btn btn-sm btn-primary" onClick={props.onRestore}>
+      Restore
+    </button>
+    {' '}
+    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={props.onDiscard}>
+      Discard
+    </button>
+  </div>
+);
+
+const Field = props => (
+  <fieldset className={`form-group ${props.errors ? 'has-danger' : ''}`}>
+    {props.children}
+    {
+      (props.errors || []).map(message => (
+        <div className="form-control-feedback field-error" key={message}>
+          {ARTICLE_SCHEMA[props.name].label} {message}
+        </div>
+      ))
+    }
+  </fieldset>
+);
+
+// Changes are saved as a local draft while typing. A draft left over from
+// an earlier visit is offered once the article has loaded; until the user
+// restores or discards it, autosave is held back so it isn't overwritten.
 class Editor extends React.Component {
   constructor() {
     super();
+    // `checkedKey` is the draft key the leftover-draft check last ran for.
+    // Fields are checked once `touched`, that is left or submitted.
+    this.state = { checkedKey: null, offer: null, touched: {} };
 
     const updateFieldEvent =
       key => ev => this.props.onUpdateField(key, ev.target.value);
@@ -41,19 +111,21 @@ class Editor extends React.Component {
     this.changeBody = updateFieldEvent('body');
     this.changeTagInput = updateFieldEvent('tagInput');
 
-    this.watchForEnter = ev => {
-      if (ev.keyCode === 13) {
-        ev.preventDefault();
-        this.props.onAddTag();
-      }
-    };
-
-    this.removeTagHandler = tag => () => {
-      this.props.onRemoveTag(tag);
+    this.touch = field => () => {
+      this.setState({ touched: { ...this.state.touched, [field]: true } });
     };
+    this.touchTitle = this.touch('title');
+    this.touchDescription = this.touch('description');
+    this.touchBody = this.touch('body');
+    this.touchTagList = this.touch('tagList');
 
     this.submitForm = ev => {
       ev.preventDefault();
+      if (Object.keys(validateArticle(this.props)).length) {
+        const touched = ARTICLE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: true }), {});
+        return this.setState({ touched });
+      }
+
       const article = {
         title: this.props.title,
         description: this.props.description,
@@ -66,104 +138,240 @@ class Editor extends React.Component {
         agent.Articles.update(Object.assign(article, slug)) :
         agent.Articles.create(article);
 
-      this.props.onSubmit(promise);
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      // Lets the redirect to the published article through the guard.
+      this.submitting = true;
+      // What was loaded, for the article's revision history.
+      const previous = this.props.articleSlug ?
+        { ...this.props.original, slug: this.props.articleSlug } :
+        null;
+      this.props.onSubmit(promise, this.draftKey(), previous);
+    };
+
+    this.importArticle = article => {
+      const replace = isBlank(this.props) ||
+        window.confirm('Replace what is in the editor with the imported file?');
+      if (replace) {
+        this.props.onImport(article);
+      }
+    };
+
+    this.isDirty = () => !this.submitting && this.loaded() &&
+      !sameContent(this.props, this.props.original);
+
+    this.saveDraft = () => {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      const key = this.draftKey();
+      if (isBlank(this.props)) {
+        if (this.props.drafts[key]) {
+          this.props.onDiscardDraft(key);
+        }
+        return;
+      }
+      this.props.onSaveDraft(key, {
+        ...draftFields(this.props),
+        slug: this.props.match.params.slug || '',
+        savedAt: new Date().toISOString()
+      });
+    };
+
+    this.flushDraft = () => {
+      if (this.saveTimer) {
+        this.saveDraft();
+      }
+    };
+
+    this.restoreDraft = () => {
+      this.props.onRestoreDraft(this.state.offer);
+      this.setState({ offer: null });
+    };
+
+    this.discardDraft = () => {
+      this.props.onDiscardDraft(this.draftKey());
+      this.setState({ offer: null });
     };
   }
 
+  draftKey(props = this.props) {
+    return draftKey(props.currentUser.username, props.match.params.slug);
+  }
+
+  loaded(props = this.props) {
+    return props.articleSlug === (props.match.params.slug || '');
+  }
+
+  checkForDraft() {
+    const key = this.draftKey();
+    if (!this.loaded() || this.state.checkedKey === key) {
+      return;
+    }
+    const draft = this.props.drafts[key];
+    const offer = draft && !sameContent(draft, this.props) ? draft : null;
+    const location = this.props.location;
+    if (offer && location.state && location.state.restoreDraft) {
+      this.props.onRestoreDraft(offer);
+      this.setState({ checkedKey: key, offer: null });
+    } else {
+      this.setState({ checkedKey: key, offer });
+    }
+  }
+
   componentWillReceiveProps(nextProps) {
+    if (this.props.inProgress && !nextProps.inProgress) {
+      this.submitting = false;
+    }
     if (this.props.match.params.slug !== nextProps.match.params.slug) {
+      this.flushDraft();
+      this.setState({ offer: null, touched: {} });
       if (nextProps.match.params.slug) {
         this.props.onUnload();
-        return this.props.onLoad(agent.Articles.get(this.props.match.params.slug));
+        this.props.onLoadTags();
+        return this.props.onLoad(agent.Articles.get(nextProps.match.params.slug, { cache: false }));
       }
       this.props.onLoad(null);
     }
   }
 
   componentWillMount() {
+    this.props.onLoadTags();
     if (this.props.match.params.slug) {
-      return this.props.onLoad(agent.Articles.get(this.props.match.params.slug));
+      return this.props.onLoad(agent.Articles.get(this.props.match.params.slug, { cache: false }));
     }
     this.props.onLoad(null);
   }
 
+  componentDidMount() {
+    window.addEventListener('beforeunload', this.flushDraft);
+    this.checkForDraft();
+  }
+
+  componentDidUpdate(prevProps) {
+    this.checkForDraft();
+
+    const changed = ['title', 'description', 'body', 'tagList']
+      .some(field => this.props[field] !== prevProps[field]);
+    if (changed && this.props.edited && !this.state.offer && this.loaded()) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(this.saveDraft, DRAFT_SAVE_DELAY);
+    }
+  }
+
   componentWillUnmount() {
+    window.removeEventListener('beforeunload', this.flushDraft);
+    this.flushDraft();
     this.props.onUnload();
   }
 
+  // Client-side errors of touched fields, otherwise what the API said.
+  fieldErrors(clientErrors, serverErrors) {
+    return ARTICLE_FIELDS.reduce((errors, field) => {
+      const messages = this.state.touched[field] && clientErrors[field] ?
+        clientErrors[field] :
+        serverErrors[field] && [].concat(serverErrors[field]);
+      return messages ? { ...errors, [field]: messages } : errors;
+    }, {});
+  }
+
   render() {
+    const savedDraft = this.state.offer ? null : this.props.drafts[this.draftKey()];
+    const clientErrors = validateArticle(this.props);
+    const invalid = Object.keys(clientErrors);
+    const serverErrors = splitServerErrors(this.props.errors);
+    const errors = this.fieldErrors(clientErrors, serverErrors.fields);
+
     return (
       <div className="editor-page">
+        <LeaveGuard isDirty={this.isDirty} />
         <div className="container page">
           <div className="row">
             <div className="col-md-10 offset-md-1 col-xs-12">
 
-              <ListErrors errors={this.props.errors}></ListErrors>
+              <ListErrors errors={serverErrors.other}></ListErrors>
+
+              {
+                this.state.offer ?
+                  <DraftOffer
+                    draft={this.state.offer}
+                    onRestore={this.restoreDraft}
+                    onDiscard={this.discardDraft} /> :
+                  null
+              }
+
+              <ImportMarkdown onImport={this.importArticle} />
 
               <form>
                 <fieldset>
 
-                  <fieldset className="form-group">
+                  <Field name="title" errors={errors.title}>
                     <input
                       className="form-control form-control-lg"
                       type="text"
                       placeholder="Article Title"
                       value={this.props.title}
-                      onChange={this.changeTitle} />
-                  </fieldset>
+                      onChange={this.changeTitle}
+                      onBlur={this.touchTitle} />
+                  </Field>
 
-                  <fieldset className="form-group">
+                  <Field name="description" errors={errors.description}>
                     <input
                       className="form-control"
                       type="text"
                       placeholder="What's this article about?"
                       value={this.props.description}
-                      onChange={this.changeDescription} />
-                  </fieldset>
+                      onChange={this.changeDescription}
+                      onBlur={this.touchDescription} />
+                  </Field>
 
-                  <fieldset className="form-group">
-                    <textarea
-                      className="form-control"
-                      rows="8"
-                      placeholder="Write your article (in markdown)"
+                  <Field name="body" errors={errors.body}>
+                    <BodyEditor
                       value={this.props.body}
-                      onChange={this.changeBody}>
-                    </textarea>
-                  </fieldset>
+                      onChange={this.changeBody}
+                      onBlur={this.touchBody}
+                      mode={this.props.editorMode}
+                      onChangeMode={this.props.onChangeEditorMode} />
+                  </Field>
 
-                  <fieldset className="form-group">
-                    <input
-                      className="form-control"
-                      type="text"
-                      placeholder="Enter tags"
+                  <Field name="tagList" errors={errors.tagList}>
+                    <TagInput
                       value={this.props.tagInput}
+                      tagList={this.props.tagList || []}
+                      suggestions={this.props.knownTags}
+                      error={this.props.tagError}
                       onChange={this.changeTagInput}
-                      onKeyUp={this.watchForEnter} />
-
-                    <div className="tag-list">
-                      {
-                        (this.props.tagList || []).map(tag => {
-                          return (
-                            <span className="tag-default tag-pill" key={tag}>
-                              <i  className="ion-close-round"
-                                  onClick={this.removeTagHandler(tag)}>
-                              </i>
-                              {tag}
-                            </span>
-                          );
-                        })
-                      }
-                    </div>
-                  </fieldset>
+                      onBlur={this.touchTagList}
+                      onAdd={this.props.onAddTag}
+                      onRemove={this.props.onRemoveTag} />
+                  </Field>
 
                   <button
                     className="btn btn-lg pull-xs-right btn-primary"
                     type="button"
-                    disabled={this.props.inProgress}
+                    disabled={this.props.inProgress || invalid.length > 0}
                     onClick={this.submitForm}>
                     Publish Article
                   </button>
 
+                  {
+                    invalid.length ?
+                      <p className="publish-hint text-muted">
+                        {invalid.map(field => ARTICLE_SCHEMA[field].label).join(', ')} still
+                        {invalid.length > 1 ? ' need' : ' needs'} attention before publishing.
+                      </p> :
+                      null
+                  }
+
+                  {
+                    savedDraft ?
+                      <p className="draft-status text-muted">
+                        Draft saved at {new Date(savedDraft.savedAt).toLocaleTimeString()}.
+                        {' '}
+                        <Link to="/drafts">All drafts</Link>
+                      </p> :
+                      null
+                  }
+
                 </fieldset>
               </form>
 
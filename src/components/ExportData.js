@@ -0,0 +1,105 @@
+import ListErrors from './ListErrors';
+import React from 'react';
+import { exportData, exportFileName } from '../dataExport';
+import { saveFile } from '../download';
+
+// Downloads the current user's articles, favorites and their comments
+// (see ../dataExport). Leaving the page cancels a running export.
+class ExportData extends React.Component {
+  constructor() {
+    super();
+    this.state = { progress: null, errors: null, cancelled: false };
+
+    this.start = () => {
+      const user = this.props.currentUser;
+      this.setState({ progress: { step: 'Starting', done: 0, total: 0 }, errors: null, cancelled: false });
+      const running = exportData(user, progress => this.setState({ progress }));
+      this.running = running;
+      // Results of an export cancelled by leaving the page are ignored.
+      const current = () => this.running === running;
+      running.then(blob => {
+        if (current()) {
+          this.running = null;
+          this.setState({ progress: null });
+          saveFile(exportFileName(user.username), blob);
+        }
+      }, err => {
+        if (!current()) {
+          return;
+        }
+        this.running = null;
+        if (err.aborted) {
+          this.setState({ progress: null, cancelled: true });
+        } else {
+          this.setState({
+            progress: null,
+            errors: err.body ? err.body.errors : { export: [`failed: ${err.message}`] }
+          });
+        }
+      });
+    };
+
+    this.cancel = () => {
+      if (this.running) {
+        this.running.abort();
+      }
+    };
+  }
+
+  componentWillUnmount() {
+    const running = this.running;
+    this.running = null;
+    if (running) {
+      running.abort();
+    }
+  }
+
+  render() {
+    const progress = this.state.progress;
+
+    if (progress) {
+      return (
+        <div className="export-data">
+          <p className="export-status">
+            {progress.step}... {progress.total ? `${progress.done} of ${progress.total}` : ''}
+          </p>
+          <progress
+            className="progress"
+            value={progress.done}
+            max={progress.total || 1}>
+          </progress>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary export-cancel"
+            onClick={this.cancel}>
+            Cancel
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="export-data">
+        <ListErrors errors={this.state.errors}></ListErrors>
+        {
+          this.state.cancelled ?
+            <p className="export-status">Export cancelled.</p> :
+            null
+        }
+        <p>
+          Download your articles, favorites and their comments as a ZIP with
+          a JSON file and one Markdown file per article.
+        </p>
+        <button
+          type="button"
+          className="btn btn-outline-secondary export-start"
+          disabled={!this.props.currentUser}
+          onClick={this.start}>
+          <i className="ion-android-download"></i> Export my data
+        </button>
+      </div>
+    );
+  }
+}
+
+export default ExportData;
@@ -1,5 +1,19 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import SearchBox from './Search/SearchBox';
+import { API_PROFILE, API_ROOT, SHOW_API_PROFILE } from '../apiConfig';
+
+const ApiProfileBadge = () => {
+  if (!SHOW_API_PROFILE) {
+    return null;
+  }
+
+  return (
+    <span className="tag-default tag-pill api-profile" title={API_ROOT}>
+      api: {API_PROFILE}
+    </span>
+  );
+};
 
 const LoggedOutView = props => {
   if (!props.currentUser) {
@@ -47,6 +61,12 @@ const LoggedInView = props => {
           </Link>
         </li>
 
+        <li className="nav-item">
+          <Link to="/drafts" className="nav-link">
+            <i className="ion-document-text"></i>&nbsp;Drafts
+          </Link>
+        </li>
+
         <li className="nav-item">
           <Link to="/settings" className="nav-link">
             <i className="ion-gear-a"></i>&nbsp;Settings
@@ -79,9 +99,13 @@ class Header extends React.Component {
             {this.props.appName.toLowerCase()}
           </Link>
 
+          <ApiProfileBadge />
+
           <LoggedOutView currentUser={this.props.currentUser} />
 
           <LoggedInView currentUser={this.props.currentUser} />
+
+          <SearchBox />
         </div>
       </nav>
     );
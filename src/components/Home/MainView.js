@@ -1,23 +1,21 @@
 import ArticleList from '../ArticleList';
 import React from 'react';
-import agent from '../../agent';
+import SortControl from '../SortControl';
+import { Link } from 'react-router-dom';
 import { connect } from 'react-redux';
-import { CHANGE_TAB } from '../../constants/actionTypes';
+import { feedUrl, toggleTagUrl } from './feedLocation';
+import { getArticles, getFeedArticles } from '../../selectors';
+import './MainView.css';
 
 const YourFeedTab = props => {
   if (props.token) {
-    const clickHandler = ev => {
-      ev.preventDefault();
-      props.onTabClick('feed', agent.Articles.feed, agent.Articles.feed());
-    }
-
     return (
       <li className="nav-item">
-        <a  href=""
-            className={ props.tab === 'feed' ? 'nav-link active' : 'nav-link' }
-            onClick={clickHandler}>
+        <Link
+            to={feedUrl({ tab: 'feed' })}
+            className={ props.tab === 'feed' ? 'nav-link active' : 'nav-link' }>
           Your Feed
-        </a>
+        </Link>
       </li>
     );
   }
@@ -25,67 +23,115 @@ const YourFeedTab = props => {
 };
 
 const GlobalFeedTab = props => {
-  const clickHandler = ev => {
-    ev.preventDefault();
-    props.onTabClick('all', agent.Articles.all, agent.Articles.all());
-  };
   return (
     <li className="nav-item">
-      <a
-        href=""
-        className={ props.tab === 'all' ? 'nav-link active' : 'nav-link' }
-        onClick={clickHandler}>
+      <Link
+        to={feedUrl({ tab: 'all' })}
+        className={ props.tab === 'all' ? 'nav-link active' : 'nav-link' }>
         Global Feed
-      </a>
+      </Link>
     </li>
   );
 };
 
+const TagMatchToggle = props => {
+  if (props.feed.tags.length < 2) {
+    return null;
+  }
+
+  const option = (match, label) => (
+    <Link
+      to={feedUrl({ ...props.feed, match })}
+      className={ props.feed.match === match ? 'tag-match-option active' : 'tag-match-option' }>
+      {label}
+    </Link>
+  );
+
+  return (
+    <span className="tag-match">
+      {option('all', 'All tags')} / {option('any', 'Any tag')}
+    </span>
+  );
+};
+
+// One removable chip per selected tag.
 const TagFilterTab = props => {
-  if (!props.tag) {
+  const feed = props.feed;
+  if (!feed.tags.length) {
     return null;
   }
 
   return (
     <li className="nav-item">
-      <a href="" className="nav-link active">
-        <i className="ion-pound"></i> {props.tag}
-      </a>
+      <span className="nav-link active tag-filter">
+        {
+          feed.tags.map(tag => (
+            <span className="tag-chip" key={tag}>
+              #{tag}
+              <Link
+                to={toggleTagUrl(feed, tag)}
+                className="tag-chip-remove"
+                aria-label={`Remove ${tag}`}>
+                <i className="ion-close-round"></i>
+              </Link>
+            </span>
+          ))
+        }
+        <TagMatchToggle feed={feed} />
+      </span>
     </li>
   );
 };
 
+const hiddenCount = state => {
+  const all = getArticles(state, state.articleList.articleSlugs);
+  return all ? all.length - getFeedArticles(state, state.articleList.articleSlugs).length : 0;
+};
+
 const mapStateToProps = state => ({
   ...state.articleList,
+  articles: getFeedArticles(state, state.articleList.articleSlugs),
+  hiddenCount: hiddenCount(state),
   tags: state.home.tags,
   token: state.common.token
 });
 
-const mapDispatchToProps = dispatch => ({
-  onTabClick: (tab, pager, payload) => dispatch({ type: CHANGE_TAB, tab, pager, payload })
-});
-
 const MainView = props => {
+  const feed = { tab: props.tab, tags: props.filterTags || [], match: props.tagMatch };
+  const pageHref = page => feedUrl({ ...feed, sort: props.sort, page });
+
   return (
     <div className="col-md-9">
       <div className="feed-toggle">
+        <SortControl sort={props.sort} onChange={props.onChangeSort} />
+
         <ul className="nav nav-pills outline-active">
 
-          <YourFeedTab
-            token={props.token}
-            tab={props.tab}
-            onTabClick={props.onTabClick} />
+          <YourFeedTab token={props.token} tab={props.tab} />
 
-          <GlobalFeedTab tab={props.tab} onTabClick={props.onTabClick} />
+          <GlobalFeedTab tab={props.tab} />
 
-          <TagFilterTab tag={props.tag} />
+          <TagFilterTab feed={feed} />
 
         </ul>
       </div>
 
+      {
+        props.truncated ?
+          <p className="text-muted tag-truncated-notice">
+            Some of these tags have too many articles to combine, so only the newest
+            articles of each are listed.
+          </p> :
+          null
+      }
+
       <ArticleList
         pager={props.pager}
+        pageHref={pageHref}
+        sort={props.sort}
         articles={props.articles}
+        canMute
+        hiddenCount={props.hiddenCount}
         loading={props.loading}
         articlesCount={props.articlesCount}
         currentPage={props.currentPage} />
@@ -93,4 +139,4 @@ const MainView = props => {
   );
 };
 
-export default connect(mapStateToProps, mapDispatchToProps)(MainView);
+export default connect(mapStateToProps)(MainView);
@@ -1,26 +1,33 @@
 import React from 'react';
-import agent from '../../agent';
+import { Link } from 'react-router-dom';
+import { toggleTagUrl } from './feedLocation';
+import './Tags.css';
 
+// Clicking a tag adds it to the feed's selected tags, or removes it.
+// Muted tags are left out.
 const Tags = props => {
   const tags = props.tags;
   if (tags) {
     return (
       <div className="tag-list">
         {
-          tags.map(tag => {
-            const handleClick = ev => {
+          tags.filter(tag => props.mutedTags.indexOf(tag) === -1).map(tag => {
+            const selected = props.feed.tags.indexOf(tag) !== -1;
+            const mute = ev => {
               ev.preventDefault();
-              props.onClickTag(tag, page => agent.Articles.byTag(tag, page), agent.Articles.byTag(tag));
+              props.onMute(tag);
             };
-
             return (
-              <a
-                href=""
-                className="tag-default tag-pill"
-                key={tag}
-                onClick={handleClick}>
-                {tag}
-              </a>
+              <span className="popular-tag" key={tag}>
+                <Link
+                  to={toggleTagUrl(props.feed, tag)}
+                  className={ selected ? 'tag-primary tag-pill' : 'tag-default tag-pill' }>
+                  {tag}
+                </Link>
+                <a href="" className="mute-tag" title={`Mute ${tag}`} aria-label={`Mute ${tag}`} onClick={mute}>
+                  <i className="ion-eye-disabled"></i>
+                </a>
+              </span>
             );
           })
         }
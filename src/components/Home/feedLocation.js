@@ -0,0 +1,46 @@
+import { isSort, sortParam } from '../../articleSort';
+import { buildQuery, parseQuery, parseQueryList } from '../../queryString';
+
+// The home feed's tab, tags and page live in the query string
+// (`/?tab=all&page=2`, `/?tag=react&tag=redux&match=all`) so they can be
+// bookmarked, shared and restored with the back button. Several tags
+// match articles with any of them unless `match=all`. `sort` is left out
+// when the URL does not set it. Pages are 1-based in the URL and 0-based
+// everywhere else.
+
+// One `tag` per tag, as tags may contain commas.
+const parseTags = values => values
+  .map(tag => tag.trim())
+  .filter((tag, i, tags) => tag && tags.indexOf(tag) === i);
+
+export const parseFeedLocation = (search, loggedIn) => {
+  const query = parseQuery(search);
+  const page = Math.max((parseInt(query.page, 10) || 1) - 1, 0);
+  const sort = isSort(query.sort) ? query.sort : null;
+  const tags = parseTags(parseQueryList(search, 'tag'));
+  if (tags.length) {
+    const match = query.match === 'all' ? 'all' : 'any';
+    return { tab: null, tags, match, sort, page };
+  }
+  const tab = query.tab === 'all' || !loggedIn ? 'all' : 'feed';
+  return { tab, tags: [], match: 'any', sort, page };
+};
+
+export const feedUrl = ({ tab, tags = [], match, sort, page }) => `/${buildQuery({
+  tab: tags.length ? null : tab,
+  tag: tags,
+  match: tags.length > 1 && match === 'all' ? 'all' : null,
+  sort: sortParam(sort),
+  page: page ? page + 1 : null
+})}`;
+
+// Sort preferences are kept per kind of feed.
+export const feedName = feed => feed.tags.length ? 'tag' : feed.tab;
+
+// The feed with `tag` added to or removed from the selected tags.
+export const toggleTagUrl = (feed, tag) => {
+  const tags = feed.tags.indexOf(tag) === -1 ?
+    feed.tags.concat(tag) :
+    feed.tags.filter(t => t !== tag);
+  return feedUrl(tags.length ? { tags, match: feed.match } : { tab: 'all' });
+};
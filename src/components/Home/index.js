@@ -4,37 +4,101 @@ import React from 'react';
 import Tags from './Tags';
 import agent from '../../agent';
 import { connect } from 'react-redux';
+import { feedName, feedUrl, parseFeedLocation } from './feedLocation';
+import { sortFor } from '../../articleSort';
 import {
   HOME_PAGE_LOADED,
   HOME_PAGE_UNLOADED,
-  APPLY_TAG_FILTER
+  APPLY_TAG_FILTER,
+  CHANGE_TAB,
+  MUTE,
+  SET_PAGE,
+  SET_PREFERENCE
 } from '../../constants/actionTypes';
 
-const Promise = global.Promise;
+const pagerFor = (feed, pageSize) => {
+  if (feed.tags.length) {
+    return page => agent.Articles.byTags(feed.tags, feed.match, page, pageSize);
+  }
+  const list = feed.tab === 'feed' ? agent.Articles.feed : agent.Articles.all;
+  return page => list(page, pageSize);
+};
+
+const tagFilterOf = feed => `${feed.match}:${feed.tags.join(',')}`;
 
 const mapStateToProps = state => ({
   ...state.home,
   appName: state.common.appName,
+  muted: state.preferences.muted,
+  pageSize: state.preferences.pageSize,
+  sorts: state.preferences.sorts,
   token: state.common.token
 });
 
 const mapDispatchToProps = dispatch => ({
-  onClickTag: (tag, pager, payload) =>
-    dispatch({ type: APPLY_TAG_FILTER, tag, pager, payload }),
-  onLoad: (tab, pager, payload) =>
-    dispatch({ type: HOME_PAGE_LOADED, tab, pager, payload }),
+  onChangeTab: (tab, pager, pageSize, page) =>
+    dispatch({ type: CHANGE_TAB, tab, pager, pageSize, page, payload: pager(page) }),
+  onClickTag: (feed, pager, pageSize) =>
+    dispatch({ type: APPLY_TAG_FILTER, ...feed, pager, pageSize, payload: pager(feed.page) }),
+  onLoad: (feed, pager, pageSize, payload) =>
+    dispatch({ type: HOME_PAGE_LOADED, ...feed, pager, pageSize, payload }),
+  onMuteTag: tag =>
+    dispatch({ type: MUTE, kind: 'tags', name: tag }),
+  onSaveSort: (sorts, feed, sort) =>
+    dispatch({ type: SET_PREFERENCE, key: 'sorts', value: { ...sorts, [feed]: sort } }),
+  onSetPage: (page, pageSize, payload) =>
+    dispatch({ type: SET_PAGE, page, pageSize, payload }),
   onUnload: () =>
     dispatch({  type: HOME_PAGE_UNLOADED })
 });
 
 class Home extends React.Component {
+  constructor() {
+    super();
+    // Sorting is done client side, so only the URL and preference change.
+    this.changeSort = sort => {
+      const feed = parseFeedLocation(this.props.location.search, !!this.props.token);
+      this.props.onSaveSort(this.props.sorts, feedName(feed), sort);
+      this.props.history.push(feedUrl({ ...feed, sort }));
+    };
+  }
+
   componentWillMount() {
-    const tab = this.props.token ? 'feed' : 'all';
-    const articlesPromise = this.props.token ?
-      agent.Articles.feed :
-      agent.Articles.all;
+    const feed = parseFeedLocation(this.props.location.search, !!this.props.token);
+    const pageSize = this.props.pageSize;
+    const pager = pagerFor(feed, pageSize);
+
+    this.props.onLoad(feed, pager, pageSize, agent.all([agent.Tags.getAll(), pager(feed.page)]));
+  }
+
+  // Tabs, tags and pagination only change the URL; this turns the new
+  // URL (or one restored with the back button) into the matching action.
+  componentWillReceiveProps(nextProps) {
+    const resized = nextProps.pageSize !== this.props.pageSize;
+    if (nextProps.location.search === this.props.location.search &&
+        nextProps.token === this.props.token && !resized) {
+      return;
+    }
+
+    const prev = parseFeedLocation(this.props.location.search, !!this.props.token);
+    const next = parseFeedLocation(nextProps.location.search, !!nextProps.token);
+    const pageSize = nextProps.pageSize;
+    const pager = pagerFor(next, pageSize);
 
-    this.props.onLoad(tab, articlesPromise, Promise.all([agent.Tags.getAll(), articlesPromise()]));
+    // Page numbers mean something else at the new size; start over.
+    if (resized && next.page > 0) {
+      nextProps.history.replace(feedUrl({ ...next, page: 0 }));
+      return;
+    }
+
+    const tagsChanged = tagFilterOf(next) !== tagFilterOf(prev);
+    if (next.tags.length && (tagsChanged || resized)) {
+      this.props.onClickTag(next, pager, pageSize);
+    } else if (next.tab !== prev.tab || tagsChanged || resized) {
+      this.props.onChangeTab(next.tab, pager, pageSize, next.page);
+    } else if (next.page !== prev.page) {
+      this.props.onSetPage(next.page, pageSize, pager(next.page));
+    }
   }
 
   componentWillUnmount() {
@@ -42,6 +106,9 @@ class Home extends React.Component {
   }
 
   render() {
+    const feed = parseFeedLocation(this.props.location.search, !!this.props.token);
+    const sort = sortFor(feed.sort, this.props.sorts, feedName(feed));
+
     return (
       <div className="home-page">
 
@@ -49,7 +116,7 @@ class Home extends React.Component {
 
         <div className="container page">
           <div className="row">
-            <MainView />
+            <MainView sort={sort} onChangeSort={this.changeSort} />
 
             <div className="col-md-3">
               <div className="sidebar">
@@ -58,7 +125,9 @@ class Home extends React.Component {
 
                 <Tags
                   tags={this.props.tags}
-                  onClickTag={this.props.onClickTag} />
+                  feed={feed}
+                  mutedTags={this.props.muted.tags}
+                  onMute={this.props.onMuteTag} />
 
               </div>
             </div>
@@ -0,0 +1,57 @@
+import React from 'react';
+import { fromMarkdownFile } from '../markdownFile';
+
+// Reads a Markdown file with front matter (see ../markdownFile) into the
+// editor.
+class ImportMarkdown extends React.Component {
+  constructor() {
+    super();
+    this.state = { error: null };
+
+    this.readFile = ev => {
+      const input = ev.target;
+      const file = input.files[0];
+      // Lets the same file be picked again after changing it on disk.
+      input.value = '';
+      if (!file) {
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          this.setState({ error: null });
+          this.props.onImport(fromMarkdownFile(reader.result));
+        } catch (e) {
+          this.setState({ error: `Could not import ${file.name}. ${e.message}` });
+        }
+      };
+      reader.onerror = () => {
+        this.setState({ error: `Could not read ${file.name}.` });
+      };
+      reader.readAsText(file);
+    };
+  }
+
+  render() {
+    return (
+      <div className="import-markdown">
+        <label className="btn btn-sm btn-outline-secondary">
+          <i className="ion-android-upload"></i> Import .md
+          <input
+            type="file"
+            accept=".md,.markdown,text/markdown,text/plain"
+            hidden
+            onChange={this.readFile} />
+        </label>
+        {
+          this.state.error ?
+            <p className="text-danger import-error">{this.state.error}</p> :
+            null
+        }
+      </div>
+    );
+  }
+}
+
+export default ImportMarkdown;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Prompt } from 'react-router-dom';
+
+const MESSAGE = 'You have unsaved changes. Leave this page and discard them?';
+
+// Asks for confirmation before leaving a form while `isDirty()` holds:
+// in-app navigation through the router's Prompt, reloading or closing the
+// tab through beforeunload. `isDirty` is called at the moment of leaving,
+// so a form can let its own post-submit redirect through.
+class LeaveGuard extends React.Component {
+  constructor() {
+    super();
+
+    this.confirmLeave = () => this.props.isDirty() ? MESSAGE : true;
+
+    this.beforeUnload = ev => {
+      if (this.props.isDirty()) {
+        ev.preventDefault();
+        ev.returnValue = MESSAGE;
+        return MESSAGE;
+      }
+    };
+  }
+
+  componentDidMount() {
+    window.addEventListener('beforeunload', this.beforeUnload);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('beforeunload', this.beforeUnload);
+  }
+
+  render() {
+    return <Prompt message={this.confirmLeave} />;
+  }
+}
+
+export default LeaveGuard;
@@ -1,20 +1,66 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import agent from '../agent';
 import { connect } from 'react-redux';
 import { SET_PAGE } from '../constants/actionTypes';
 
+// How many numbered pages to show on each side of the current one.
+const WINDOW = 2;
+
 const mapDispatchToProps = dispatch => ({
   onSetPage: (page, payload) =>
     dispatch({ type: SET_PAGE, page, payload })
 });
 
+const PageItem = props => {
+  if (props.disabled) {
+    return (
+      <li className="page-item disabled">
+        <span className="page-link" aria-label={props.ariaLabel}>{props.label}</span>
+      </li>
+    );
+  }
+
+  const className = props.active ? 'page-item active' : 'page-item';
+
+  // Lists whose page lives in the URL (see Home) link to it.
+  if (props.pageHref) {
+    return (
+      <li className={className}>
+        <Link className="page-link" aria-label={props.ariaLabel} to={props.pageHref(props.page)}>
+          {props.label}
+        </Link>
+      </li>
+    );
+  }
+
+  const onClick = ev => {
+    ev.preventDefault();
+    props.setPage(props.page);
+  };
+  return (
+    <li className={className} onClick={onClick}>
+      <a className="page-link" aria-label={props.ariaLabel} href="">{props.label}</a>
+    </li>
+  );
+};
+
+const Ellipsis = () => (
+  <li className="page-item disabled">
+    <span className="page-link">&hellip;</span>
+  </li>
+);
+
 const ListPagination = props => {
-  if (props.articlesCount <= 10) {
+  const pageSize = props.pageSize || 10;
+  if (props.articlesCount <= pageSize) {
     return null;
   }
 
+  const current = props.currentPage || 0;
+  const last = Math.ceil(props.articlesCount / pageSize) - 1;
   const range = [];
-  for (let i = 0; i < Math.ceil(props.articlesCount / 10); ++i) {
+  for (let i = Math.max(0, current - WINDOW); i <= Math.min(last, current + WINDOW); ++i) {
     range.push(i);
   }
 
@@ -26,30 +72,42 @@ const ListPagination = props => {
     }
   };
 
+  const item = (page, label, ariaLabel) => (
+    <PageItem
+      page={page}
+      label={label}
+      ariaLabel={ariaLabel}
+      disabled={page < 0 || page > last || page === current}
+      pageHref={props.pageHref}
+      setPage={setPage} />
+  );
+
   return (
     <nav>
       <ul className="pagination">
 
+        {item(0, '«', 'First page')}
+        {item(current - 1, '‹', 'Previous page')}
+
+        {range[0] > 0 ? <Ellipsis /> : null}
+
         {
-          range.map(v => {
-            const isCurrent = v === props.currentPage;
-            const onClick = ev => {
-              ev.preventDefault();
-              setPage(v);
-            };
-            return (
-              <li
-                className={ isCurrent ? 'page-item active' : 'page-item' }
-                onClick={onClick}
-                key={v.toString()}>
-
-                <a className="page-link" href="">{v + 1}</a>
-
-              </li>
-            );
-          })
+          range.map(v => (
+            <PageItem
+              key={v.toString()}
+              page={v}
+              label={v + 1}
+              active={v === current}
+              pageHref={props.pageHref}
+              setPage={setPage} />
+          ))
         }
 
+        {range[range.length - 1] < last ? <Ellipsis /> : null}
+
+        {item(current + 1, '›', 'Next page')}
+        {item(last, '»', 'Last page')}
+
       </ul>
     </nav>
   );
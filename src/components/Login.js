@@ -3,6 +3,7 @@ import ListErrors from './ListErrors';
 import React from 'react';
 import agent from '../agent';
 import { connect } from 'react-redux';
+import { returnPathFrom, withReturnPath } from '../returnPath';
 import {
   UPDATE_FIELD_AUTH,
   LOGIN,
@@ -16,8 +17,8 @@ const mapDispatchToProps = dispatch => ({
     dispatch({ type: UPDATE_FIELD_AUTH, key: 'email', value }),
   onChangePassword: value =>
     dispatch({ type: UPDATE_FIELD_AUTH, key: 'password', value }),
-  onSubmit: (email, password) =>
-    dispatch({ type: LOGIN, payload: agent.Auth.login(email, password) }),
+  onSubmit: (email, password, returnTo) =>
+    dispatch({ type: LOGIN, payload: agent.Auth.login(email, password), returnTo }),
   onUnload: () =>
     dispatch({ type: LOGIN_PAGE_UNLOADED })
 });
@@ -29,7 +30,7 @@ class Login extends React.Component {
     this.changePassword = ev => this.props.onChangePassword(ev.target.value);
     this.submitForm = (email, password) => ev => {
       ev.preventDefault();
-      this.props.onSubmit(email, password);
+      this.props.onSubmit(email, password, returnPathFrom(this.props.location));
     };
   }
 
@@ -48,7 +49,7 @@ class Login extends React.Component {
             <div className="col-md-6 offset-md-3 col-xs-12">
               <h1 className="text-xs-center">Sign In</h1>
               <p className="text-xs-center">
-                <Link to="/register">
+                <Link to={withReturnPath('/register', returnPathFrom(this.props.location))}>
                   Need an account?
                 </Link>
               </p>
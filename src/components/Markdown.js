@@ -0,0 +1,16 @@
+import React from 'react';
+import { renderMarkdown } from '../markdown';
+
+// Renders a markdown `source` through the shared, sanitized pipeline.
+class Markdown extends React.PureComponent {
+  render() {
+    const markup = {
+      __html: renderMarkdown(this.props.source, { idPrefix: this.props.idPrefix })
+    };
+    return (
+      <div className={this.props.className} dangerouslySetInnerHTML={markup}></div>
+    );
+  }
+}
+
+export default Markdown;
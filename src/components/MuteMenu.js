@@ -0,0 +1,68 @@
+import React from 'react';
+import './MuteMenu.css';
+
+// A small menu on article previews for muting the author or a tag.
+class MuteMenu extends React.Component {
+  constructor() {
+    super();
+    this.state = { open: false };
+
+    this.toggle = ev => {
+      ev.preventDefault();
+      this.setState({ open: !this.state.open });
+    };
+
+    this.mute = (kind, name) => ev => {
+      ev.preventDefault();
+      this.setState({ open: false });
+      this.props.onMute(kind, name);
+    };
+  }
+
+  render() {
+    const article = this.props.article;
+
+    return (
+      <span className={`dropdown mute-menu ${this.state.open ? 'open' : ''}`}>
+        <button
+          className="btn btn-sm btn-outline-secondary mute-toggle"
+          aria-label="Mute options"
+          aria-haspopup="true"
+          aria-expanded={this.state.open}
+          onClick={this.toggle}>
+          <i className="ion-eye-disabled"></i>
+        </button>
+
+        {
+          this.state.open ?
+            <div className="dropdown-menu dropdown-menu-right mute-options">
+              {
+                this.props.canMuteAuthor ?
+                  <button
+                    type="button"
+                    className="dropdown-item mute-author"
+                    onClick={this.mute('authors', article.author.username)}>
+                    Mute author {article.author.username}
+                  </button> :
+                  null
+              }
+              {
+                article.tagList.map(tag => (
+                  <button
+                    type="button"
+                    key={tag}
+                    className="dropdown-item mute-tag"
+                    onClick={this.mute('tags', tag)}>
+                    Mute tag #{tag}
+                  </button>
+                ))
+              }
+            </div> :
+            null
+        }
+      </span>
+    );
+  }
+}
+
+export default MuteMenu;
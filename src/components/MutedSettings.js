@@ -0,0 +1,78 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import { UNMUTE } from '../constants/actionTypes';
+
+const mapStateToProps = state => ({
+  muted: state.preferences.muted
+});
+
+const mapDispatchToProps = dispatch => ({
+  onUnmute: (kind, name) =>
+    dispatch({ type: UNMUTE, kind, name })
+});
+
+const MutedList = props => {
+  if (!props.names.length) {
+    return (
+      <p className="muted-empty">{props.empty}</p>
+    );
+  }
+
+  return (
+    <ul className="list-group muted-list">
+      {
+        props.names.map(name => {
+          const unmute = ev => {
+            ev.preventDefault();
+            props.onUnmute(name);
+          };
+          return (
+            <li className="list-group-item" key={name}>
+              {props.format(name)}
+              <button className="btn btn-sm btn-outline-secondary pull-xs-right" onClick={unmute}>
+                Unmute
+              </button>
+            </li>
+          );
+        })
+      }
+    </ul>
+  );
+};
+
+// Reviews the authors and tags muted from the home feeds. Muting is kept
+// in this browser, so the page works signed out too.
+const MutedSettings = props => (
+  <div className="settings-page muted-settings">
+    <div className="container page">
+      <div className="row">
+        <div className="col-md-6 offset-md-3 col-xs-12">
+
+          <h1 className="text-xs-center">Muted Authors and Tags</h1>
+
+          <p className="text-xs-center">
+            Their articles are hidden from the home feeds. <Link to="/">Back to the feed</Link>
+          </p>
+
+          <h4>Authors</h4>
+          <MutedList
+            names={props.muted.authors}
+            empty="You have not muted any authors."
+            format={name => <Link to={`/@${name}`}>{name}</Link>}
+            onUnmute={name => props.onUnmute('authors', name)} />
+
+          <h4>Tags</h4>
+          <MutedList
+            names={props.muted.tags}
+            empty="You have not muted any tags."
+            format={name => `#${name}`}
+            onUnmute={name => props.onUnmute('tags', name)} />
+
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default connect(mapStateToProps, mapDispatchToProps)(MutedSettings);
@@ -0,0 +1,24 @@
+import React from 'react';
+
+const Notice = props => {
+  if (!props.notice) {
+    return null;
+  }
+
+  return (
+    <div className="container">
+      <div className="alert alert-warning notice" role="alert">
+        <button
+          type="button"
+          className="close"
+          aria-label="Dismiss"
+          onClick={props.onDismiss}>
+          <span aria-hidden="true">&times;</span>
+        </button>
+        {props.notice}
+      </div>
+    </div>
+  );
+};
+
+export default Notice;
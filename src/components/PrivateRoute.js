@@ -0,0 +1,46 @@
+import React from 'react';
+import { Redirect, Route } from 'react-router-dom';
+import { connect } from 'react-redux';
+import { getArticle } from '../selectors';
+import { withReturnPath } from '../returnPath';
+
+const mapStateToProps = state => ({
+  currentUser: state.common.currentUser
+});
+
+const loginRedirect = location =>
+  <Redirect to={withReturnPath('/login', location.pathname + location.search)} />;
+
+// A <Route> that sends anonymous users to the login page, which brings
+// them back here afterwards.
+const PrivateRoute = ({ component: Component, currentUser, dispatch, ...rest }) => (
+  <Route {...rest} render={props =>
+    currentUser ? <Component {...props} /> : loginRedirect(props.location)
+  } />
+);
+
+// Only the author may edit an article. The decision waits for the article
+// to be known: it is usually in the store already when coming from the
+// article page, otherwise the wrapped Editor loads it.
+const AuthorOnly = connect((state, ownProps) => ({
+  article: getArticle(state, ownProps.match.params.slug),
+  currentUser: state.common.currentUser
+}))(({ article, currentUser, component: Component, dispatch, ...rest }) => {
+  if (article && article.author.username !== currentUser.username) {
+    return <Redirect to={`/article/${article.slug}`} />;
+  }
+  return <Component {...rest} />;
+});
+
+const AuthorRoute = ({ component, currentUser, dispatch, ...rest }) => (
+  <Route {...rest} render={props =>
+    currentUser ?
+      <AuthorOnly {...props} component={component} /> :
+      loginRedirect(props.location)
+  } />
+);
+
+const ConnectedAuthorRoute = connect(mapStateToProps)(AuthorRoute);
+
+export default connect(mapStateToProps)(PrivateRoute);
+export { ConnectedAuthorRoute as AuthorRoute };
@@ -1,5 +1,7 @@
 import ArticleList from './ArticleList';
+import ListErrors from './ListErrors';
 import React from 'react';
+import SortControl from './SortControl';
 import { Link } from 'react-router-dom';
 import agent from '../agent';
 import { connect } from 'react-redux';
@@ -7,8 +9,12 @@ import {
   FOLLOW_USER,
   UNFOLLOW_USER,
   PROFILE_PAGE_LOADED,
-  PROFILE_PAGE_UNLOADED
+  PROFILE_PAGE_UNLOADED,
+  SET_PREFERENCE
 } from '../constants/actionTypes';
+import { getArticles, getProfile } from '../selectors';
+import { buildQuery, parseQuery } from '../queryString';
+import { sortFor, sortParam } from '../articleSort';
 
 const EditProfileSettings = props => {
   if (props.isUser) {
@@ -57,8 +63,11 @@ const FollowUserButton = props => {
 
 const mapStateToProps = state => ({
   ...state.articleList,
+  articles: getArticles(state, state.articleList.articleSlugs),
   currentUser: state.common.currentUser,
-  profile: state.profile
+  preferredPageSize: state.preferences.pageSize,
+  profile: getProfile(state, state.profile.username),
+  sorts: state.preferences.sorts
 });
 
 const mapDispatchToProps = dispatch => ({
@@ -66,7 +75,10 @@ const mapDispatchToProps = dispatch => ({
     type: FOLLOW_USER,
     payload: agent.Profile.follow(username)
   }),
-  onLoad: payload => dispatch({ type: PROFILE_PAGE_LOADED, payload }),
+  onLoad: (pager, pageSize, payload) =>
+    dispatch({ type: PROFILE_PAGE_LOADED, pager, pageSize, payload }),
+  onSaveSort: (sorts, feed, sort) =>
+    dispatch({ type: SET_PREFERENCE, key: 'sorts', value: { ...sorts, [feed]: sort } }),
   onUnfollow: username => dispatch({
     type: UNFOLLOW_USER,
     payload: agent.Profile.unfollow(username)
@@ -75,11 +87,40 @@ const mapDispatchToProps = dispatch => ({
 });
 
 class Profile extends React.Component {
+  constructor() {
+    super();
+    this.changeSort = sort => {
+      this.props.onSaveSort(this.props.sorts, this.feedName(), sort);
+      this.props.history.push(
+        `${this.props.location.pathname}${buildQuery({ sort: sortParam(sort) })}`
+      );
+    };
+  }
+
   componentWillMount() {
-    this.props.onLoad(Promise.all([
-      agent.Profile.get(this.props.match.params.username),
-      agent.Articles.byAuthor(this.props.match.params.username)
-    ]));
+    this.load(this.props);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.preferredPageSize !== this.props.preferredPageSize) {
+      this.load(nextProps);
+    }
+  }
+
+  // Which sort preference applies to this list.
+  feedName() {
+    return 'author';
+  }
+
+  pagerFor(username, pageSize) {
+    return page => agent.Articles.byAuthor(username, page, pageSize);
+  }
+
+  load(props) {
+    const username = props.match.params.username;
+    const pageSize = props.preferredPageSize;
+    const pager = this.pagerFor(username, pageSize);
+    props.onLoad(pager, pageSize, agent.all([agent.Profile.get(username), pager(0)]));
   }
 
   componentWillUnmount() {
@@ -111,11 +152,22 @@ class Profile extends React.Component {
   render() {
     const profile = this.props.profile;
     if (!profile) {
-      return null;
+      return this.props.errors ?
+        <div className="profile-page">
+          <div className="container page">
+            <ListErrors errors={this.props.errors} />
+          </div>
+        </div> :
+        null;
     }
 
     const isUser = this.props.currentUser &&
       this.props.profile.username === this.props.currentUser.username;
+    const sort = sortFor(
+      parseQuery(this.props.location.search).sort,
+      this.props.sorts,
+      this.feedName()
+    );
 
     return (
       <div className="profile-page">
@@ -148,14 +200,16 @@ class Profile extends React.Component {
             <div className="col-xs-12 col-md-10 offset-md-1">
 
               <div className="articles-toggle">
+                <SortControl sort={sort} onChange={this.changeSort} />
                 {this.renderTabs()}
               </div>
 
               <ArticleList
                 pager={this.props.pager}
+                sort={sort}
                 articles={this.props.articles}
                 articlesCount={this.props.articlesCount}
-                state={this.props.currentPage} />
+                currentPage={this.props.currentPage} />
             </div>
 
           </div>
@@ -5,22 +5,26 @@ import agent from '../agent';
 import { connect } from 'react-redux';
 import {
   PROFILE_PAGE_LOADED,
-  PROFILE_PAGE_UNLOADED
+  PROFILE_PAGE_UNLOADED,
+  SET_PREFERENCE
 } from '../constants/actionTypes';
 
 const mapDispatchToProps = dispatch => ({
-  onLoad: (pager, payload) =>
-    dispatch({ type: PROFILE_PAGE_LOADED, pager, payload }),
+  onLoad: (pager, pageSize, payload) =>
+    dispatch({ type: PROFILE_PAGE_LOADED, pager, pageSize, payload }),
+  onSaveSort: (sorts, feed, sort) =>
+    dispatch({ type: SET_PREFERENCE, key: 'sorts', value: { ...sorts, [feed]: sort } }),
   onUnload: () =>
     dispatch({ type: PROFILE_PAGE_UNLOADED })
 });
 
 class ProfileFavorites extends Profile {
-  componentWillMount() {
-    this.props.onLoad(page => agent.Articles.favoritedBy(this.props.match.params.username, page), Promise.all([
-      agent.Profile.get(this.props.match.params.username),
-      agent.Articles.favoritedBy(this.props.match.params.username)
-    ]));
+  feedName() {
+    return 'favorites';
+  }
+
+  pagerFor(username, pageSize) {
+    return page => agent.Articles.favoritedBy(username, page, pageSize);
   }
 
   componentWillUnmount() {
@@ -3,6 +3,7 @@ import ListErrors from './ListErrors';
 import React from 'react';
 import agent from '../agent';
 import { connect } from 'react-redux';
+import { returnPathFrom, withReturnPath } from '../returnPath';
 import {
   UPDATE_FIELD_AUTH,
   REGISTER,
@@ -18,9 +19,9 @@ const mapDispatchToProps = dispatch => ({
     dispatch({ type: UPDATE_FIELD_AUTH, key: 'password', value }),
   onChangeUsername: value =>
     dispatch({ type: UPDATE_FIELD_AUTH, key: 'username', value }),
-  onSubmit: (username, email, password) => {
+  onSubmit: (username, email, password, returnTo) => {
     const payload = agent.Auth.register(username, email, password);
-    dispatch({ type: REGISTER, payload })
+    dispatch({ type: REGISTER, payload, returnTo })
   },
   onUnload: () =>
     dispatch({ type: REGISTER_PAGE_UNLOADED })
@@ -34,7 +35,7 @@ class Register extends React.Component {
     this.changeUsername = ev => this.props.onChangeUsername(ev.target.value);
     this.submitForm = (username, email, password) => ev => {
       ev.preventDefault();
-      this.props.onSubmit(username, email, password);
+      this.props.onSubmit(username, email, password, returnPathFrom(this.props.location));
     }
   }
 
@@ -55,7 +56,7 @@ class Register extends React.Component {
             <div className="col-md-6 offset-md-3 col-xs-12">
               <h1 className="text-xs-center">Sign Up</h1>
               <p className="text-xs-center">
-                <Link to="/login">
+                <Link to={withReturnPath('/login', returnPathFrom(this.props.location))}>
                   Have an account?
                 </Link>
               </p>
@@ -0,0 +1,14 @@
+import React from 'react';
+import { highlight } from '../../search';
+
+const Highlight = props => (
+  <span>
+    {
+      highlight(props.text, props.query).map((part, i) =>
+        part.match ? <mark key={i}>{part.text}</mark> : part.text
+      )
+    }
+  </span>
+);
+
+export default Highlight;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { withRouter } from 'react-router-dom';
+import { buildQuery, parseQuery } from '../../queryString';
+import './SearchBox.css';
+
+export const searchUrl = query => `/search${buildQuery({ q: query })}`;
+
+// The search field in the header; submitting it opens /search.
+class SearchBox extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { query: this.queryIn(props.location) };
+
+    this.changeQuery = ev => this.setState({ query: ev.target.value });
+    this.submitForm = ev => {
+      ev.preventDefault();
+      this.props.history.push(searchUrl(this.state.query.trim()));
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.location !== this.props.location) {
+      this.setState({ query: this.queryIn(nextProps.location) });
+    }
+  }
+
+  queryIn(location) {
+    return location.pathname === '/search' ? parseQuery(location.search).q || '' : '';
+  }
+
+  render() {
+    return (
+      <form className="form-inline pull-xs-right search-box" onSubmit={this.submitForm}>
+        <input
+          className="form-control form-control-sm"
+          type="search"
+          placeholder="Search articles"
+          aria-label="Search articles"
+          value={this.state.query}
+          onChange={this.changeQuery} />
+      </form>
+    );
+  }
+}
+
+export default withRouter(SearchBox);
@@ -0,0 +1,45 @@
+import Highlight from './Highlight';
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const SearchResult = props => {
+  const { article, query } = props;
+
+  return (
+    <div className="article-preview search-result">
+      <div className="article-meta">
+        <Link to={`/@${article.author.username}`}>
+          <img src={article.author.image} alt={article.author.username} />
+        </Link>
+
+        <div className="info">
+          <Link className="author" to={`/@${article.author.username}`}>
+            <Highlight text={article.author.username} query={query} />
+          </Link>
+          <span className="date">
+            {new Date(article.createdAt).toDateString()}
+          </span>
+        </div>
+      </div>
+
+      <Link to={`/article/${article.slug}`} className="preview-link">
+        <h1><Highlight text={article.title} query={query} /></h1>
+        <p><Highlight text={article.description} query={query} /></p>
+        <span>Read more...</span>
+        <ul className="tag-list">
+          {
+            article.tagList.map(tag => {
+              return (
+                <li className="tag-default tag-pill tag-outline" key={tag}>
+                  <Highlight text={tag} query={query} />
+                </li>
+              )
+            })
+          }
+        </ul>
+      </Link>
+    </div>
+  );
+};
+
+export default SearchResult;
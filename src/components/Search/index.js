@@ -0,0 +1,126 @@
+import ListErrors from '../ListErrors';
+import React from 'react';
+import SearchResult from './SearchResult';
+import agent from '../../agent';
+import { connect } from 'react-redux';
+import { searchUrl } from './SearchBox';
+import { buildIndex, searchIndex } from '../../search';
+import { getArticles } from '../../selectors';
+import { parseQuery } from '../../queryString';
+import {
+  SEARCH_PAGE_CRAWLED,
+  SEARCH_PAGE_UNLOADED
+} from '../../constants/actionTypes';
+
+// The index is filled one page of the global feed at a time while the
+// page is open, up to MAX_CRAWL_PAGES pages.
+const CRAWL_PAGE_SIZE = 50;
+const MAX_CRAWL_PAGES = 20;
+
+const mapStateToProps = state => ({
+  ...state.search,
+  articles: getArticles(state, state.search.slugs)
+});
+
+const mapDispatchToProps = dispatch => ({
+  onCrawl: page => dispatch({
+    type: SEARCH_PAGE_CRAWLED,
+    page,
+    payload: agent.Articles.all(page, CRAWL_PAGE_SIZE)
+  }),
+  onUnload: () =>
+    dispatch({ type: SEARCH_PAGE_UNLOADED })
+});
+
+class Search extends React.Component {
+  constructor() {
+    super();
+    this.changeQuery = ev =>
+      this.props.history.replace(searchUrl(ev.target.value));
+  }
+
+  componentDidMount() {
+    this.crawl();
+  }
+
+  componentDidUpdate() {
+    this.crawl();
+  }
+
+  componentWillUnmount() {
+    this.props.onUnload();
+  }
+
+  hasMoreToCrawl() {
+    const { articlesCount, nextPage } = this.props;
+    return nextPage < MAX_CRAWL_PAGES &&
+      (articlesCount === undefined || nextPage * CRAWL_PAGE_SIZE < articlesCount);
+  }
+
+  crawl() {
+    if (!this.props.crawling && !this.props.errors && this.hasMoreToCrawl()) {
+      this.props.onCrawl(this.props.nextPage);
+    }
+  }
+
+  renderStatus(query, count) {
+    const searched = this.props.articles.length;
+    const indexing = this.props.crawling || this.hasMoreToCrawl();
+    if (!query) {
+      return indexing ? `Indexing articles... ${searched} so far` : `${searched} articles indexed`;
+    }
+    return indexing ?
+      `${count} matches among the ${searched} articles indexed so far...` :
+      `${count} of ${searched} articles match`;
+  }
+
+  render() {
+    const query = parseQuery(this.props.location.search).q || '';
+    const articles = this.props.articles;
+    const bySlug = {};
+    articles.forEach(article => {
+      bySlug[article.slug] = article;
+    });
+    const results = searchIndex(buildIndex(articles), query).map(slug => bySlug[slug]);
+
+    return (
+      <div className="search-page">
+        <div className="container page">
+          <div className="row">
+            <div className="col-md-10 offset-md-1 col-xs-12">
+
+              <fieldset className="form-group">
+                <input
+                  className="form-control form-control-lg"
+                  type="search"
+                  placeholder="Search titles, descriptions, tags and authors"
+                  autoFocus
+                  value={query}
+                  onChange={this.changeQuery} />
+              </fieldset>
+
+              <p className="search-status">{this.renderStatus(query, results.length)}</p>
+
+              <ListErrors errors={this.props.errors} />
+
+              {
+                results.map(article =>
+                  <SearchResult article={article} query={query} key={article.slug} />
+                )
+              }
+
+              {
+                query && !results.length && !this.props.crawling ?
+                  <div className="article-preview">No articles match your search.</div> :
+                  null
+              }
+
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(Search);
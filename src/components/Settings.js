@@ -1,5 +1,8 @@
+import ExportData from './ExportData';
+import LeaveGuard from './LeaveGuard';
 import ListErrors from './ListErrors';
 import React from 'react';
+import { Link } from 'react-router-dom';
 import agent from '../agent';
 import { connect } from 'react-redux';
 import {
@@ -8,6 +11,13 @@ import {
   LOGOUT
 } from '../constants/actionTypes';
 
+const profileFields = user => ({
+  image: user.image || '',
+  username: user.username,
+  bio: user.bio || '',
+  email: user.email
+});
+
 class SettingsForm extends React.Component {
   constructor() {
     super();
@@ -34,35 +44,41 @@ class SettingsForm extends React.Component {
         delete user.password;
       }
 
+      // Lets the redirect after saving through the guard.
+      this.submitting = true;
       this.props.onSubmitForm(user);
     };
+
+    this.isDirty = () => {
+      if (this.submitting || !this.props.currentUser) {
+        return false;
+      }
+      const saved = profileFields(this.props.currentUser);
+      return Boolean(this.state.password) ||
+        Object.keys(saved).some(field => (this.state[field] || '') !== (saved[field] || ''));
+    };
   }
 
   componentWillMount() {
     if (this.props.currentUser) {
-      Object.assign(this.state, {
-        image: this.props.currentUser.image || '',
-        username: this.props.currentUser.username,
-        bio: this.props.currentUser.bio,
-        email: this.props.currentUser.email
-      });
+      Object.assign(this.state, profileFields(this.props.currentUser));
     }
   }
 
   componentWillReceiveProps(nextProps) {
-    if (nextProps.currentUser) {
-      this.setState(Object.assign({}, this.state, {
-        image: nextProps.currentUser.image || '',
-        username: nextProps.currentUser.username,
-        bio: nextProps.currentUser.bio,
-        email: nextProps.currentUser.email
-      }));
+    if (nextProps.errors && nextProps.errors !== this.props.errors) {
+      this.submitting = false;
+    }
+    // Only a changed user resets the form, so edits survive other updates.
+    if (nextProps.currentUser && nextProps.currentUser !== this.props.currentUser) {
+      this.setState(Object.assign({}, this.state, profileFields(nextProps.currentUser)));
     }
   }
 
   render() {
     return (
       <form onSubmit={this.submitForm}>
+        <LeaveGuard isDirty={this.isDirty} />
         <fieldset>
 
           <fieldset className="form-group">
@@ -150,10 +166,20 @@ class Settings extends React.Component {
 
               <SettingsForm
                 currentUser={this.props.currentUser}
+                errors={this.props.errors}
                 onSubmitForm={this.props.onSubmitForm} />
 
               <hr />
 
+              <p>
+                <Link to="/settings/muted">Muted authors and tags</Link>
+              </p>
+
+              <h4>Export your data</h4>
+              <ExportData currentUser={this.props.currentUser} />
+
+              <hr />
+
               <button
                 className="btn btn-outline-danger"
                 onClick={this.props.onClickLogout}>
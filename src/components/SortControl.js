@@ -0,0 +1,20 @@
+import React from 'react';
+import { SORTS } from '../articleSort';
+
+const SortControl = props => {
+  const onChange = ev => props.onChange(ev.target.value);
+
+  return (
+    <div className="sort-control pull-xs-right">
+      <select
+        className="form-control form-control-sm"
+        aria-label="Sort articles"
+        value={props.sort}
+        onChange={onChange}>
+        {SORTS.map(sort => <option key={sort.key} value={sort.key}>{sort.label}</option>)}
+      </select>
+    </div>
+  );
+};
+
+export default SortControl;
@@ -0,0 +1,186 @@
+import React from 'react';
+import { normalizeTag } from '../tags';
+
+const KEYS = {
+  BACKSPACE: 8,
+  TAB: 9,
+  ENTER: 13,
+  ESCAPE: 27,
+  UP: 38,
+  DOWN: 40,
+  COMMA: 188
+};
+
+const MAX_SUGGESTIONS = 8;
+
+// The input may hold several comma separated tags; only the last one is
+// being typed.
+const lastPart = input => input.split(',').pop();
+
+const withLastPart = (input, tag) =>
+  input.split(',').slice(0, -1).concat(tag).join(',');
+
+// Known tags not added yet, those starting with the typed text first.
+const suggest = (known, input, tagList) => {
+  const query = normalizeTag(lastPart(input));
+  if (!query) {
+    return [];
+  }
+  const candidates = known.filter(tag => tagList.indexOf(tag) === -1);
+  return candidates.filter(tag => tag.indexOf(query) === 0)
+    .concat(candidates.filter(tag => tag.indexOf(query) > 0))
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+// The editor's tag field: Enter, comma or Tab adds what was typed (or the
+// highlighted suggestion), Backspace in the empty input removes the last
+// tag.
+class TagInput extends React.Component {
+  constructor() {
+    super();
+    this.state = { focused: false, dismissed: false, highlighted: -1 };
+
+    // Steps through the suggestions and back to the typed text (-1).
+    this.move = (count, step) => {
+      const next = (this.state.highlighted + 1 + step + count + 1) % (count + 1) - 1;
+      this.setState({ highlighted: next, dismissed: false });
+    };
+
+    this.commit = tag => {
+      this.props.onAdd(tag ? withLastPart(this.props.value, tag) : undefined);
+    };
+
+    this.onKeyDown = ev => {
+      const suggestions = this.suggestions();
+      const highlighted = this.state.highlighted;
+      switch (ev.keyCode) {
+        case KEYS.DOWN:
+        case KEYS.UP:
+          if (suggestions.length) {
+            ev.preventDefault();
+            this.move(suggestions.length, ev.keyCode === KEYS.DOWN ? 1 : -1);
+          }
+          break;
+        case KEYS.ESCAPE:
+          this.setState({ dismissed: true, highlighted: -1 });
+          break;
+        case KEYS.TAB:
+          if (!(this.props.value || '').trim()) {
+            break;
+          }
+        // falls through
+        case KEYS.ENTER:
+        case KEYS.COMMA:
+          ev.preventDefault();
+          this.commit(suggestions[highlighted]);
+          break;
+        case KEYS.BACKSPACE:
+          if (!this.props.value && this.props.tagList.length) {
+            ev.preventDefault();
+            this.props.onRemove(this.props.tagList[this.props.tagList.length - 1]);
+          }
+          break;
+        default:
+      }
+    };
+
+    this.onFocus = () => this.setState({ focused: true });
+    this.onBlur = () => {
+      this.setState({ focused: false, highlighted: -1 });
+      if (this.props.onBlur) {
+        this.props.onBlur();
+      }
+    };
+
+    // Keeps the focus in the input when a suggestion is clicked.
+    this.keepFocus = ev => ev.preventDefault();
+    this.pick = tag => ev => {
+      ev.preventDefault();
+      this.commit(tag);
+    };
+
+    this.removeTagHandler = tag => () => {
+      this.props.onRemove(tag);
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.value !== this.props.value) {
+      this.setState({ dismissed: false, highlighted: -1 });
+    }
+  }
+
+  suggestions() {
+    return suggest(this.props.suggestions, this.props.value || '', this.props.tagList);
+  }
+
+  render() {
+    const suggestions = this.suggestions();
+    const open = this.state.focused && !this.state.dismissed && suggestions.length > 0;
+
+    return (
+      <div className="tag-input">
+        <div className={`dropdown ${open ? 'open' : ''}`}>
+          <input
+            className="form-control"
+            type="text"
+            placeholder="Enter tags"
+            autoComplete="off"
+            role="combobox"
+            aria-controls="tag-suggestions"
+            aria-autocomplete="list"
+            aria-expanded={open}
+            value={this.props.value}
+            onChange={this.props.onChange}
+            onKeyDown={this.onKeyDown}
+            onFocus={this.onFocus}
+            onBlur={this.onBlur} />
+
+          {
+            open ?
+              <div id="tag-suggestions" className="dropdown-menu tag-suggestions" role="listbox">
+                {
+                  suggestions.map((tag, i) => (
+                    <button
+                      type="button"
+                      key={tag}
+                      role="option"
+                      aria-selected={i === this.state.highlighted}
+                      className={`dropdown-item ${i === this.state.highlighted ? 'active' : ''}`}
+                      onMouseDown={this.keepFocus}
+                      onClick={this.pick(tag)}>
+                      {tag}
+                    </button>
+                  ))
+                }
+              </div> :
+              null
+          }
+        </div>
+
+        {
+          this.props.error ?
+            <p className="text-danger tag-error">{this.props.error}</p> :
+            null
+        }
+
+        <div className="tag-list">
+          {
+            this.props.tagList.map(tag => {
+              return (
+                <span className="tag-default tag-pill" key={tag}>
+                  <i  className="ion-close-round"
+                      onClick={this.removeTagHandler(tag)}>
+                  </i>
+                  {tag}
+                </span>
+              );
+            })
+          }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default TagInput;
@@ -33,4 +33,18 @@ export const UPDATE_FIELD_EDITOR = 'UPDATE_FIELD_EDITOR';
 export const FOLLOW_USER = 'FOLLOW_USER';
 export const UNFOLLOW_USER = 'UNFOLLOW_USER';
 export const PROFILE_FAVORITES_PAGE_UNLOADED = 'PROFILE_FAVORITES_PAGE_UNLOADED';
-export const PROFILE_FAVORITES_PAGE_LOADED = 'PROFILE_FAVORITES_PAGE_LOADED';
\ No newline at end of file
+export const PROFILE_FAVORITES_PAGE_LOADED = 'PROFILE_FAVORITES_PAGE_LOADED';
+export const SESSION_EXPIRED = 'SESSION_EXPIRED';
+export const DISMISS_NOTICE = 'DISMISS_NOTICE';
+export const SET_PREFERENCE = 'SET_PREFERENCE';
+export const LOAD_MORE_ARTICLES = 'LOAD_MORE_ARTICLES';
+export const SEARCH_PAGE_CRAWLED = 'SEARCH_PAGE_CRAWLED';
+export const SEARCH_PAGE_UNLOADED = 'SEARCH_PAGE_UNLOADED';
+export const COMMENT_COUNT_LOADED = 'COMMENT_COUNT_LOADED';
+export const MUTE = 'MUTE';
+export const UNMUTE = 'UNMUTE';
+export const DRAFT_SAVED = 'DRAFT_SAVED';
+export const DRAFT_DISCARDED = 'DRAFT_DISCARDED';
+export const DRAFT_RESTORED = 'DRAFT_RESTORED';
+export const EDITOR_TAGS_LOADED = 'EDITOR_TAGS_LOADED';
+export const ARTICLE_IMPORTED = 'ARTICLE_IMPORTED';
\ No newline at end of file
@@ -0,0 +1,139 @@
+import JSZip from 'jszip';
+import agent from './agent';
+import { markdownFileName, toMarkdownFile } from './markdownFile';
+
+// Everything a user wrote or favorited, as a ZIP with
+//
+//   data.json            the profile, articles and favorites with comments
+//   articles/<slug>.md   each article as a Markdown file (see ./markdownFile)
+//   favorites/<slug>.md
+//
+// Requests go one at a time and skip the cache, so the export is current
+// and aborting only has one request to cancel.
+
+const PAGE_SIZE = 50;
+const FRESH = { cache: false };
+
+const cancelledError = () => {
+  const err = new Error('Export cancelled');
+  err.aborted = true;
+  return err;
+};
+
+const inSequence = (items, fn) => items.reduce(
+  (done, item) => done.then(results => fn(item).then(result => results.concat([result]))),
+  Promise.resolve([]));
+
+export const exportFileName = (username, date = new Date()) =>
+  `${username}-export-${date.toISOString().slice(0, 10)}.zip`;
+
+// `onProgress` is called with `{ step, done, total }` as the export goes.
+// The returned promise resolves with the ZIP as a Blob and, like the
+// agent's GETs, has an `abort()`; it then rejects with an `aborted` error.
+export const exportData = (user, onProgress) => {
+  let aborted = false;
+  let current = null;
+
+  const request = send => {
+    if (aborted) {
+      return Promise.reject(cancelledError());
+    }
+    current = send();
+    return current;
+  };
+
+  const report = progress => {
+    if (!aborted) {
+      onProgress(progress);
+    }
+  };
+
+  const fetchAll = (list, step) => {
+    const fetchPage = (page, articles) =>
+      request(() => list(user.username, page, PAGE_SIZE, FRESH)).then(res => {
+        const fetched = articles.concat(res.articles);
+        report({ step, done: fetched.length, total: res.articlesCount });
+        return res.articles.length && fetched.length < res.articlesCount ?
+          fetchPage(page + 1, fetched) :
+          fetched;
+      });
+    return fetchPage(0, []);
+  };
+
+  const promise = fetchAll(agent.Articles.byAuthor, 'Fetching your articles')
+    .then(articles => fetchAll(agent.Articles.favoritedBy, 'Fetching your favorites')
+      .then(favorites => ({ articles, favorites })))
+    .then(({ articles, favorites }) => {
+      const listed = {};
+      articles.concat(favorites).forEach(article => {
+        listed[article.slug] = article;
+      });
+      const slugs = Object.keys(listed);
+      // Some API versions leave the body out of article lists.
+      const bodiless = slugs.filter(slug => listed[slug].body === undefined);
+      const comments = {};
+      let done = 0;
+      report({ step: 'Fetching comments', done, total: slugs.length });
+
+      return inSequence(slugs, slug =>
+        request(() => agent.Comments.forArticle(slug, FRESH)).then(res => {
+          comments[slug] = res.comments;
+          report({ step: 'Fetching comments', done: ++done, total: slugs.length });
+        }))
+        .then(() => {
+          let fetched = 0;
+          if (bodiless.length) {
+            report({ step: 'Fetching article bodies', done: fetched, total: bodiless.length });
+          }
+          return inSequence(bodiless, slug =>
+            request(() => agent.Articles.get(slug, FRESH)).then(res => {
+              listed[slug] = res.article;
+              report({ step: 'Fetching article bodies', done: ++fetched, total: bodiless.length });
+            }));
+        })
+        .then(() => {
+          const complete = article => ({ ...listed[article.slug], comments: comments[article.slug] });
+          return { articles: articles.map(complete), favorites: favorites.map(complete) };
+        });
+    })
+    .then(({ articles, favorites }) => {
+      const zip = new JSZip();
+      zip.file('data.json', JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        profile: {
+          username: user.username,
+          email: user.email,
+          bio: user.bio,
+          image: user.image
+        },
+        articles,
+        favorites
+      }, null, 2));
+      articles.forEach(article =>
+        zip.file(`articles/${markdownFileName(article)}`, toMarkdownFile(article)));
+      favorites.forEach(article =>
+        zip.file(`favorites/${markdownFileName(article)}`, toMarkdownFile(article)));
+
+      report({ step: 'Compressing', done: 0, total: 100 });
+      return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }, meta => {
+        report({ step: 'Compressing', done: Math.round(meta.percent), total: 100 });
+      });
+    })
+    .then(blob => {
+      if (aborted) {
+        throw cancelledError();
+      }
+      return blob;
+    });
+
+  return Object.assign(promise, {
+    abort: () => {
+      if (!aborted) {
+        aborted = true;
+        if (current) {
+          current.abort();
+        }
+      }
+    }
+  });
+};
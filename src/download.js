@@ -0,0 +1,13 @@
+// Hands `content` (a string or Blob) to the browser as a file download.
+export const saveFile = (fileName, content, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers start the download only after the click handler returns.
+  setTimeout(() => window.URL.revokeObjectURL(url), 0);
+};
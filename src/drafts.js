@@ -0,0 +1,33 @@
+// Unpublished editor contents, kept in localStorage so they survive
+// navigating away or closing the browser. Drafts are keyed by the user and
+// the article being edited ('' for a new one) and only hold the fields
+// that get published.
+
+const STORAGE_KEY = 'drafts';
+
+export const draftKey = (username, slug) => `${username}:${slug || ''}`;
+
+export const draftFields = article => ({
+  title: article.title || '',
+  description: article.description || '',
+  body: article.body || '',
+  tagList: article.tagList || []
+});
+
+export const sameContent = (a, b) =>
+  JSON.stringify(draftFields(a)) === JSON.stringify(draftFields(b));
+
+export const isBlank = article =>
+  sameContent(article, {});
+
+export const loadDrafts = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveDrafts = drafts => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+};
@@ -0,0 +1,204 @@
+import DOMPurify from 'dompurify';
+import Prism from 'prismjs';
+import 'prismjs/components/prism-bash';
+import 'prismjs/components/prism-go';
+import 'prismjs/components/prism-java';
+import 'prismjs/components/prism-json';
+import 'prismjs/components/prism-python';
+import 'prismjs/components/prism-ruby';
+import 'prismjs/components/prism-sql';
+import 'prismjs/components/prism-typescript';
+import 'prismjs/components/prism-yaml';
+import { marked } from 'marked';
+import 'prismjs/themes/prism.css';
+
+// Markdown for article bodies, comments and the editor preview: GFM
+// (tables, task lists, strikethrough), footnotes, fenced code with syntax
+// highlighting and linkable headings. Raw HTML is allowed, but everything
+// is passed through an allowlist before it reaches the page.
+
+// Code is highlighted here, as it is rendered; Prism is kept from also
+// going over the page by itself.
+Prism.manual = true;
+
+// The token classes Prism's theme styles.
+const TOKEN_CLASSES = [
+  'atrule', 'attr-name', 'attr-value', 'bold', 'boolean', 'builtin', 'cdata',
+  'char', 'class-name', 'comment', 'constant', 'deleted', 'doctype', 'entity',
+  'function', 'important', 'inserted', 'italic', 'keyword', 'namespace',
+  'number', 'operator', 'prolog', 'property', 'punctuation', 'regex',
+  'selector', 'string', 'symbol', 'tag', 'token', 'url', 'variable'
+];
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'dl',
+  'dt', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'section', 'span', 'strong',
+  'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+];
+
+const ALLOWED_ATTR = [
+  'align', 'alt', 'aria-hidden', 'aria-label', 'checked', 'class', 'colspan',
+  'disabled', 'height', 'href', 'id', 'rowspan', 'src', 'start', 'title',
+  'type', 'width'
+];
+
+// Only the classes this module produces, so bodies can't borrow the app's.
+const ALLOWED_CLASS = /^(language-[\w-]+|heading-anchor|footnotes|footnote-ref|footnote-backref|task-list-item)$/;
+const allowedClass = name => ALLOWED_CLASS.test(name) || TOKEN_CLASSES.indexOf(name) !== -1;
+
+DOMPurify.addHook('uponSanitizeAttribute', (node, data) => {
+  if (data.attrName === 'class') {
+    const classes = data.attrValue.split(/\s+/).filter(allowedClass);
+    data.attrValue = classes.join(' ');
+    data.keepAttr = classes.length > 0;
+  }
+});
+
+DOMPurify.addHook('afterSanitizeAttributes', node => {
+  if (node.tagName === 'INPUT') {
+    if (node.getAttribute('type') !== 'checkbox') {
+      node.parentNode.removeChild(node);
+      return;
+    }
+    node.setAttribute('disabled', '');
+  }
+  if (node.tagName === 'A' && /^https?:/i.test(node.getAttribute('href') || '')) {
+    node.setAttribute('rel', 'nofollow noopener noreferrer');
+  }
+});
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/;
+
+// Footnotes are lexed as tokens and numbered by renderMarkdown before
+// rendering (see `numberFootnotes`), so the extensions keep no state.
+const footnoteDefinition = {
+  name: 'footnoteDefinition',
+  level: 'block',
+  start(src) {
+    const match = /^\[\^[^\]\s]+\]:/m.exec(src);
+    return match ? match.index : undefined;
+  },
+  tokenizer(src) {
+    const match = FOOTNOTE_DEFINITION.exec(src);
+    if (match) {
+      return {
+        type: 'footnoteDefinition',
+        raw: match[0],
+        id: match[1],
+        tokens: this.lexer.inlineTokens(match[2].replace(/\n\s+/g, ' '))
+      };
+    }
+  },
+  renderer() {
+    return '';
+  }
+};
+
+const footnoteReference = {
+  name: 'footnoteReference',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('[^');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+    if (match) {
+      return { type: 'footnoteReference', raw: match[0], id: match[1] };
+    }
+  },
+  // A reference without a definition stays as written.
+  renderer(token) {
+    if (!token.n) {
+      return escapeHtml(token.raw);
+    }
+    const { n, idPrefix } = token;
+    return `<sup class="footnote-ref"><a href="#${idPrefix}fn-${n}" id="${idPrefix}fnref-${n}">${n}</a></sup>`;
+  }
+};
+
+marked.use({ extensions: [footnoteDefinition, footnoteReference] });
+
+// Numbers the references to defined footnotes in order of appearance and
+// returns the definitions in that order. Text inside code is a code
+// token, so a definition or reference there doesn't count.
+const numberFootnotes = (tokens, idPrefix) => {
+  const definitions = {};
+  marked.walkTokens(tokens, token => {
+    if (token.type === 'footnoteDefinition' && !definitions[token.id]) {
+      definitions[token.id] = token;
+    }
+  });
+
+  const order = [];
+  marked.walkTokens(tokens, token => {
+    if (token.type === 'footnoteReference' && definitions[token.id]) {
+      if (order.indexOf(token.id) === -1) {
+        order.push(token.id);
+      }
+      token.n = order.indexOf(token.id) + 1;
+      token.idPrefix = idPrefix;
+    }
+  });
+  return order.map(id => definitions[id]);
+};
+
+const footnotesSection = (definitions, idPrefix, options) => {
+  if (!definitions.length) {
+    return '';
+  }
+  const items = definitions.map((definition, i) => {
+    const n = i + 1;
+    return `<li id="${idPrefix}fn-${n}">${marked.Parser.parseInline(definition.tokens, options)} ` +
+      `<a href="#${idPrefix}fnref-${n}" class="footnote-backref" aria-label="Back to reference ${n}">&#8617;</a></li>`;
+  });
+  return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>`;
+};
+
+const createRenderer = idPrefix => {
+  const renderer = new marked.Renderer();
+
+  renderer.heading = (text, level, raw, slugger) => {
+    const id = `${idPrefix}heading-${slugger.slug(raw)}`;
+    return `<h${level} id="${id}"><a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>${text}</h${level}>\n`;
+  };
+
+  renderer.code = (code, infostring) => {
+    const lang = ((infostring || '').match(/\S*/) || [''])[0].toLowerCase();
+    const grammar = lang && Prism.languages.hasOwnProperty(lang) && Prism.languages[lang];
+    if (!grammar || typeof grammar !== 'object') {
+      return `<pre><code>${escapeHtml(code)}</code></pre>\n`;
+    }
+    return `<pre class="language-${lang}"><code class="language-${lang}">${Prism.highlight(code, grammar, lang)}</code></pre>\n`;
+  };
+
+  renderer.listitem = (text, task) => task ?
+    `<li class="task-list-item">${text}</li>\n` :
+    `<li>${text}</li>\n`;
+
+  return renderer;
+};
+
+// `idPrefix` keeps heading and footnote ids unique when several bodies
+// share a page (e.g. comments).
+export const renderMarkdown = (source, { idPrefix = '' } = {}) => {
+  const options = {
+    ...marked.defaults,
+    gfm: true,
+    mangle: false,
+    headerIds: false,
+    renderer: createRenderer(idPrefix)
+  };
+  const tokens = marked.lexer(source || '', options);
+  const footnotes = numberFootnotes(tokens, idPrefix);
+  const html = marked.parser(tokens, options) + footnotesSection(footnotes, idPrefix, options);
+  return DOMPurify.sanitize(html, { ALLOWED_TAGS, ALLOWED_ATTR });
+};
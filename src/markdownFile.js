@@ -0,0 +1,67 @@
+import yaml from 'js-yaml';
+import { normalizeTag } from './tags';
+
+// Articles as Markdown files: YAML front matter with the title,
+// description and tags, then the body exactly as written. Exporting and
+// importing again gives back the same article.
+//
+//   ---
+//   title: Getting started
+//   description: A first article
+//   tags:
+//     - intro
+//   ---
+//
+//   The body...
+
+const FRONT_MATTER = /^\uFEFF?---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+export const toMarkdownFile = article => {
+  const meta = yaml.safeDump({
+    title: article.title,
+    description: article.description,
+    tags: article.tagList
+  }, { lineWidth: -1 });
+  return `---\n${meta}---\n\n${article.body}`;
+};
+
+const text = value => value === undefined || value === null ? undefined : String(value);
+
+// Returns the fields the file sets; a file without front matter is all
+// body. Throws with a readable message when the front matter is invalid.
+export const fromMarkdownFile = source => {
+  const match = FRONT_MATTER.exec(source);
+  if (!match) {
+    return { body: source.replace(/^\uFEFF/, '') };
+  }
+
+  let meta;
+  try {
+    // Plain JSON types, so a title like 2020-01-01 stays text.
+    meta = yaml.safeLoad(match[1] || '', { schema: yaml.JSON_SCHEMA }) || {};
+  } catch (e) {
+    throw new Error(`The front matter is not valid YAML: ${e.reason || e.message}`);
+  }
+  if (typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new Error('The front matter should be a list of fields such as `title: ...`.');
+  }
+
+  // The blank line after the front matter belongs to the format.
+  const article = { body: source.slice(match[0].length).replace(/^\r?\n/, '') };
+  if (text(meta.title) !== undefined) {
+    article.title = text(meta.title);
+  }
+  if (text(meta.description) !== undefined) {
+    article.description = text(meta.description);
+  }
+  // Tags are normalized but not checked; the editor points out bad ones.
+  const tags = meta.tags || meta.tagList;
+  if (tags) {
+    article.tagList = (typeof tags === 'string' ? tags.split(',') : [].concat(tags))
+      .map(tag => normalizeTag(String(tag)))
+      .filter((tag, i, all) => tag && all.indexOf(tag) === i);
+  }
+  return article;
+};
+
+export const markdownFileName = article => `${article.slug || 'article'}.md`;
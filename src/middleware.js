@@ -1,49 +1,176 @@
 import agent from './agent';
+import { saveDrafts } from './drafts';
+import { savePreferences } from './preferences';
+import { saveRevisions } from './revisions';
+import { LOCATION_CHANGE } from 'react-router-redux';
 import {
   ASYNC_START,
   ASYNC_END,
   LOGIN,
   LOGOUT,
-  REGISTER
+  REGISTER,
+  SESSION_EXPIRED,
+  CHANGE_TAB,
+  APPLY_TAG_FILTER,
+  SET_PAGE,
+  LOAD_MORE_ARTICLES,
+  SET_PREFERENCE,
+  MUTE,
+  UNMUTE,
+  DRAFT_SAVED,
+  DRAFT_DISCARDED,
+  ARTICLE_SUBMITTED,
+  ARTICLE_PAGE_UNLOADED,
+  EDITOR_PAGE_UNLOADED,
+  HOME_PAGE_UNLOADED,
+  PROFILE_PAGE_UNLOADED,
+  PROFILE_FAVORITES_PAGE_UNLOADED,
+  SEARCH_PAGE_UNLOADED,
+  SETTINGS_PAGE_UNLOADED,
+  LOGIN_PAGE_UNLOADED,
+  REGISTER_PAGE_UNLOADED
 } from './constants/actionTypes';
 
-const promiseMiddleware = store => next => action => {
-  if (isPromise(action.payload)) {
-    store.dispatch({ type: ASYNC_START, subtype: action.type });
+// Starting one of these aborts any other that is still in flight, as well
+// as any background revalidation that would overwrite its result.
+const SUPERSEDING_ACTIONS = [
+  CHANGE_TAB,
+  APPLY_TAG_FILTER,
+  SET_PAGE,
+  LOAD_MORE_ARTICLES
+];
 
-    const currentView = store.getState().viewChangeCounter;
-    const skipTracking = action.skipTracking;
+const PREFERENCE_ACTIONS = [SET_PREFERENCE, MUTE, UNMUTE];
 
-    action.payload.then(
-      res => {
-        const currentState = store.getState()
-        if (!skipTracking && currentState.viewChangeCounter !== currentView) {
-          return
-        }
-        console.log('RESULT', res);
-        action.payload = res;
-        store.dispatch({ type: ASYNC_END, promise: action.payload });
-        store.dispatch(action);
-      },
-      error => {
-        const currentState = store.getState()
-        if (!skipTracking && currentState.viewChangeCounter !== currentView) {
-          return
-        }
-        console.log('ERROR', error);
-        action.error = true;
-        action.payload = error.response.body;
-        if (!action.skipTracking) {
+const DRAFT_ACTIONS = [DRAFT_SAVED, DRAFT_DISCARDED, ARTICLE_SUBMITTED];
+
+const REVISION_ACTIONS = [ARTICLE_SUBMITTED];
+
+const UNLOAD_ACTIONS = [
+  ARTICLE_PAGE_UNLOADED,
+  EDITOR_PAGE_UNLOADED,
+  HOME_PAGE_UNLOADED,
+  PROFILE_PAGE_UNLOADED,
+  PROFILE_FAVORITES_PAGE_UNLOADED,
+  SEARCH_PAGE_UNLOADED,
+  SETTINGS_PAGE_UNLOADED,
+  LOGIN_PAGE_UNLOADED,
+  REGISTER_PAGE_UNLOADED
+];
+
+const promiseMiddleware = store => {
+  // Abortable payloads still waiting for a response. Each remembers the
+  // route it was started on: React mounts the next page before it
+  // unmounts the previous one, so an unload action must only abort what
+  // was started before the latest LOCATION_CHANGE.
+  let inFlight = [];
+  let routeVersion = 0;
+
+  const track = action => {
+    const payload = action.payload;
+    const entry = { type: action.type, routeVersion, abort: payload.abort };
+    inFlight.push(entry);
+    const untrack = () => {
+      inFlight = inFlight.filter(e => e !== entry);
+    };
+    const settled = () => {
+      if (payload.revalidated) {
+        entry.revalidating = true;
+        payload.revalidated.then(untrack, untrack);
+      } else {
+        untrack();
+      }
+    };
+    payload.then(settled, untrack);
+  };
+
+  const abortWhere = predicate => {
+    const matching = inFlight.filter(predicate);
+    inFlight = inFlight.filter(e => !predicate(e));
+    matching.forEach(e => e.abort());
+  };
+
+  // A 401 while we hold a token means the token is no longer accepted.
+  const expireSessionOn = error => {
+    const state = store.getState();
+    if (error && error.status === 401 && state.common.token) {
+      store.dispatch({ type: SESSION_EXPIRED, from: state.router.location });
+    }
+  };
+
+  return next => action => {
+    if (action.type === LOCATION_CHANGE) {
+      routeVersion++;
+    } else if (UNLOAD_ACTIONS.indexOf(action.type) !== -1) {
+      abortWhere(e => e.routeVersion < routeVersion);
+    }
+
+    if (isPromise(action.payload)) {
+      if (SUPERSEDING_ACTIONS.indexOf(action.type) !== -1) {
+        abortWhere(e =>
+          e.revalidating || SUPERSEDING_ACTIONS.indexOf(e.type) !== -1);
+      }
+      if (!action.skipTracking && typeof action.payload.abort === 'function') {
+        track(action);
+      }
+
+      store.dispatch({ type: ASYNC_START, subtype: action.type });
+
+      const currentView = store.getState().viewChangeCounter;
+      const skipTracking = action.skipTracking;
+      const revalidated = action.payload.revalidated;
+
+      action.payload.then(
+        res => {
+          const currentState = store.getState()
+          if (!skipTracking && currentState.viewChangeCounter !== currentView) {
+            return
+          }
+          action.payload = res;
           store.dispatch({ type: ASYNC_END, promise: action.payload });
+          store.dispatch(action);
+
+          // The agent answered from a stale cache entry: dispatch the
+          // action again once the fresh response arrives, if it differs.
+          if (revalidated) {
+            revalidated.then(
+              fresh => {
+                const latestState = store.getState()
+                if (!skipTracking && latestState.viewChangeCounter !== currentView) {
+                  return
+                }
+                if (JSON.stringify(fresh) !== JSON.stringify(res)) {
+                  store.dispatch({ ...action, payload: fresh });
+                }
+              },
+              () => {}
+            );
+          }
+        },
+        error => {
+          const currentState = store.getState()
+          if (error && error.aborted) {
+            return
+          }
+          if (!skipTracking && currentState.viewChangeCounter !== currentView) {
+            expireSessionOn(error);
+            return
+          }
+          action.error = true;
+          action.payload = errorPayload(error);
+          if (!action.skipTracking) {
+            store.dispatch({ type: ASYNC_END, promise: action.payload });
+          }
+          store.dispatch(action);
+          expireSessionOn(error);
         }
-        store.dispatch(action);
-      }
-    );
+      );
 
-    return;
-  }
+      return;
+    }
 
-  next(action);
+    next(action);
+  };
 };
 
 const localStorageMiddleware = store => next => action => {
@@ -52,17 +179,36 @@ const localStorageMiddleware = store => next => action => {
       window.localStorage.setItem('jwt', action.payload.user.token);
       agent.setToken(action.payload.user.token);
     }
-  } else if (action.type === LOGOUT) {
+  } else if (action.type === LOGOUT || action.type === SESSION_EXPIRED) {
     window.localStorage.setItem('jwt', '');
     agent.setToken(null);
   }
 
   next(action);
+
+  if (PREFERENCE_ACTIONS.indexOf(action.type) !== -1) {
+    savePreferences(store.getState().preferences);
+  } else if (DRAFT_ACTIONS.indexOf(action.type) !== -1) {
+    saveDrafts(store.getState().drafts);
+  }
+  if (REVISION_ACTIONS.indexOf(action.type) !== -1) {
+    saveRevisions(store.getState().revisions);
+  }
 };
 
 function isPromise(v) {
   return v && typeof v.then === 'function';
 }
 
+// Errors from the agent already carry a normalized `{ errors }` body;
+// anything else is wrapped the same way so reducers can rely on the shape.
+function errorPayload(error) {
+  if (error && error.body && error.body.errors) {
+    return error.body;
+  }
+  const message = error && error.message ? error.message : String(error);
+  return { errors: { request: [message] } };
+}
+
 
 export { promiseMiddleware, localStorageMiddleware }
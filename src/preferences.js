@@ -0,0 +1,35 @@
+// Per-browser display preferences, kept in localStorage next to the token.
+
+const STORAGE_KEY = 'preferences';
+
+export const PAGE_SIZES = [10, 20, 50];
+
+export const defaultPreferences = {
+  listMode: 'pages',
+  pageSize: PAGE_SIZES[0],
+  // Last sort order chosen for each kind of feed, e.g. { favorites: 'oldest' }.
+  sorts: {},
+  // Authors (usernames) and tags left out of the home feeds.
+  muted: { authors: [], tags: [] },
+  // 'write', 'preview' or 'split' in the article editor.
+  editorMode: 'write'
+};
+
+export const loadPreferences = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    // Nested objects are merged too, so a missing key keeps its default.
+    return {
+      ...defaultPreferences,
+      ...stored,
+      sorts: { ...defaultPreferences.sorts, ...stored.sorts },
+      muted: { ...defaultPreferences.muted, ...stored.muted }
+    };
+  } catch (e) {
+    return defaultPreferences;
+  }
+};
+
+export const savePreferences = preferences => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
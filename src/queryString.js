@@ -0,0 +1,38 @@
+// Minimal query string helpers; values are decoded strings, and keys
+// with empty or missing values are left out when building. An array value
+// is built as the key repeated once per item (`?tag=a&tag=b`).
+
+// `[key, value]` pairs, in order.
+const parsePairs = search => (search || '')
+  .replace(/^\?/, '')
+  .split('&')
+  .filter(pair => pair)
+  .reduce((pairs, pair) => {
+    const [key, value = ''] = pair.split('=');
+    try {
+      return pairs.concat([[decodeURIComponent(key), decodeURIComponent(value.replace(/\+/g, ' '))]]);
+    } catch (e) {
+      // Ignore malformed escapes rather than fail the whole page.
+      return pairs;
+    }
+  }, []);
+
+// The last value of each key.
+export const parseQuery = search => parsePairs(search)
+  .reduce((params, [key, value]) => ({ ...params, [key]: value }), {});
+
+// Every value of `key`.
+export const parseQueryList = (search, key) => parsePairs(search)
+  .filter(pair => pair[0] === key)
+  .map(pair => pair[1]);
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+export const buildQuery = params => {
+  const pairs = Object.keys(params).reduce((acc, key) => acc.concat(
+    [].concat(params[key])
+      .filter(value => !isEmpty(value))
+      .map(value => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+  ), []);
+  return pairs.length ? `?${pairs.join('&')}` : '';
+};
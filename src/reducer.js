@@ -3,9 +3,14 @@ import articleList from './reducers/articleList';
 import auth from './reducers/auth';
 import { combineReducers } from 'redux';
 import common from './reducers/common';
+import drafts from './reducers/drafts';
 import editor from './reducers/editor';
+import entities from './reducers/entities';
 import home from './reducers/home';
+import preferences from './reducers/preferences';
 import profile from './reducers/profile';
+import revisions from './reducers/revisions';
+import search from './reducers/search';
 import settings from './reducers/settings';
 import { routerReducer } from 'react-router-redux';
 
@@ -14,9 +19,14 @@ export default combineReducers({
   articleList,
   auth,
   common,
+  drafts,
   editor,
+  entities,
   home,
+  preferences,
   profile,
+  revisions,
+  search,
   settings,
   router: routerReducer
 });
@@ -8,10 +8,14 @@ import {
 export default (state = {}, action) => {
   switch (action.type) {
     case ARTICLE_PAGE_LOADED:
+      if (action.error) {
+        return { ...state, errors: action.payload.errors };
+      }
       return {
         ...state,
-        article: action.payload[0].article,
-        comments: action.payload[1].comments
+        slug: action.payload[0].article.slug,
+        commentIds: action.payload[1].comments.map(comment => comment.id),
+        errors: null
       };
     case ARTICLE_PAGE_UNLOADED:
       return {};
@@ -19,15 +23,15 @@ export default (state = {}, action) => {
       return {
         ...state,
         commentErrors: action.error ? action.payload.errors : null,
-        comments: action.error ?
-          null :
-          (state.comments || []).concat([action.payload.comment])
+        commentIds: action.error ?
+          state.commentIds :
+          (state.commentIds || []).concat([action.payload.comment.id])
       };
     case DELETE_COMMENT:
       const commentId = action.commentId
       return {
         ...state,
-        comments: state.comments.filter(comment => comment.id !== commentId)
+        commentIds: state.commentIds.filter(id => id !== commentId)
       };
     default:
       return state;
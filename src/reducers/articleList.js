@@ -1,7 +1,7 @@
 import {
-  ARTICLE_FAVORITED,
-  ARTICLE_UNFAVORITED,
   SET_PAGE,
+  LOAD_MORE_ARTICLES,
+  ASYNC_START,
   APPLY_TAG_FILTER,
   HOME_PAGE_LOADED,
   HOME_PAGE_UNLOADED,
@@ -12,70 +12,134 @@ import {
   PROFILE_FAVORITES_PAGE_UNLOADED
 } from '../constants/actionTypes';
 
+// Articles themselves live in the entities slice; see ../selectors.
+const slugsOf = articles => articles.map(article => article.slug);
+
+// `currentPage` is where the list starts; infinite scroll appends pages
+// after it up to `lastLoadedPage`.
+const startingAt = page => ({
+  currentPage: page,
+  lastLoadedPage: page,
+  loadingMore: false,
+  errors: null
+});
+
+// A failed load keeps whatever list was shown, or an empty one.
+const failed = (state, action) => ({
+  ...state,
+  articleSlugs: state.articleSlugs || [],
+  articlesCount: state.articlesCount || 0,
+  loadingMore: false,
+  errors: action.payload.errors
+});
+
+const appendSlugs = (slugs, pages) => pages.reduce((acc, page) => acc.concat(
+  slugsOf(page.articles).filter(slug => acc.indexOf(slug) === -1)
+), slugs || []);
+
+// `truncated` marks a combined tag list that leaves out older articles
+// (see ../agent).
 export default (state = {}, action) => {
   switch (action.type) {
-    case ARTICLE_FAVORITED:
-    case ARTICLE_UNFAVORITED:
-      return {
-        ...state,
-        articles: state.articles.map(article => {
-          if (article.slug === action.payload.article.slug) {
-            return {
-              ...article,
-              favorited: action.payload.article.favorited,
-              favoritesCount: action.payload.article.favoritesCount
-            };
-          }
-          return article;
-        })
-      };
     case SET_PAGE:
+      if (action.error) {
+        return failed(state, action);
+      }
       return {
         ...state,
-        articles: action.payload.articles,
+        articleSlugs: slugsOf(action.payload.articles),
         articlesCount: action.payload.articlesCount,
-        currentPage: action.page
+        truncated: Boolean(action.payload.truncated),
+        pageSize: action.pageSize || state.pageSize,
+        ...startingAt(action.page)
       };
     case APPLY_TAG_FILTER:
+      if (action.error) {
+        return failed(state, action);
+      }
       return {
         ...state,
         pager: action.pager,
-        articles: action.payload.articles,
+        pageSize: action.pageSize,
+        articleSlugs: slugsOf(action.payload.articles),
         articlesCount: action.payload.articlesCount,
+        truncated: Boolean(action.payload.truncated),
         tab: null,
-        tag: action.tag,
-        currentPage: 0
+        filterTags: action.tags,
+        tagMatch: action.match,
+        ...startingAt(action.page || 0)
       };
     case HOME_PAGE_LOADED:
+      if (action.error) {
+        return {
+          ...failed(state, action),
+          pager: action.pager,
+          pageSize: action.pageSize,
+          tab: action.tab,
+          filterTags: action.tags,
+          tagMatch: action.match
+        };
+      }
       return {
         ...state,
         pager: action.pager,
+        pageSize: action.pageSize,
         tags: action.payload[0].tags,
-        articles: action.payload[1].articles,
+        articleSlugs: slugsOf(action.payload[1].articles),
         articlesCount: action.payload[1].articlesCount,
-        currentPage: 0,
-        tab: action.tab
+        truncated: Boolean(action.payload[1].truncated),
+        ...startingAt(action.page || 0),
+        tab: action.tab,
+        filterTags: action.tags,
+        tagMatch: action.match
       };
     case HOME_PAGE_UNLOADED:
       return {};
+    case LOAD_MORE_ARTICLES:
+      if (action.error) {
+        return { ...state, loadingMore: false };
+      }
+      return {
+        ...state,
+        articleSlugs: appendSlugs(state.articleSlugs, action.payload),
+        articlesCount: action.payload[action.payload.length - 1].articlesCount,
+        truncated: Boolean(action.payload[action.payload.length - 1].truncated),
+        lastLoadedPage: Math.max(state.lastLoadedPage, action.page),
+        loadingMore: false
+      };
+    case ASYNC_START:
+      if (action.subtype === LOAD_MORE_ARTICLES) {
+        return { ...state, loadingMore: true };
+      }
+      return state;
     case CHANGE_TAB:
+      if (action.error) {
+        return failed(state, action);
+      }
       return {
         ...state,
         pager: action.pager,
-        articles: action.payload.articles,
+        pageSize: action.pageSize,
+        articleSlugs: slugsOf(action.payload.articles),
         articlesCount: action.payload.articlesCount,
+        truncated: Boolean(action.payload.truncated),
         tab: action.tab,
-        currentPage: 0,
-        tag: null
+        ...startingAt(action.page || 0),
+        filterTags: []
       };
     case PROFILE_PAGE_LOADED:
     case PROFILE_FAVORITES_PAGE_LOADED:
+      if (action.error) {
+        return { ...failed(state, action), pager: action.pager, pageSize: action.pageSize };
+      }
       return {
         ...state,
         pager: action.pager,
-        articles: action.payload[1].articles,
+        pageSize: action.pageSize,
+        articleSlugs: slugsOf(action.payload[1].articles),
         articlesCount: action.payload[1].articlesCount,
-        currentPage: 0
+        truncated: Boolean(action.payload[1].truncated),
+        ...startingAt(0)
       };
     case PROFILE_PAGE_UNLOADED:
     case PROFILE_FAVORITES_PAGE_UNLOADED:
@@ -12,10 +12,14 @@ import {
   HOME_PAGE_UNLOADED,
   PROFILE_PAGE_UNLOADED,
   PROFILE_FAVORITES_PAGE_UNLOADED,
+  SEARCH_PAGE_UNLOADED,
   SETTINGS_PAGE_UNLOADED,
   LOGIN_PAGE_UNLOADED,
-  REGISTER_PAGE_UNLOADED
+  REGISTER_PAGE_UNLOADED,
+  SESSION_EXPIRED,
+  DISMISS_NOTICE
 } from '../constants/actionTypes';
+import { safeReturnPath } from '../returnPath';
 
 const defaultState = {
   appName: 'Conduit',
@@ -35,8 +39,27 @@ export default (state = defaultState, action) => {
     case REDIRECT:
       return { ...state, redirectTo: null };
     case LOGOUT:
-      return { ...state, redirectTo: '/', token: null, currentUser: null };
+      return {
+        ...state,
+        redirectTo: '/',
+        token: null,
+        currentUser: null,
+        notice: null
+      };
+    case SESSION_EXPIRED:
+      return {
+        ...state,
+        redirectTo: { pathname: '/login', state: { from: action.from } },
+        token: null,
+        currentUser: null,
+        notice: 'Your session has expired. Please sign in again.'
+      };
+    case DISMISS_NOTICE:
+      return { ...state, notice: null };
     case ARTICLE_SUBMITTED:
+      if (action.error) {
+        return state;
+      }
       const redirectUrl = `/article/${action.payload.article.slug}`;
       return { ...state, redirectTo: redirectUrl };
     case SETTINGS_SAVED:
@@ -49,9 +72,10 @@ export default (state = defaultState, action) => {
     case REGISTER:
       return {
         ...state,
-        redirectTo: action.error ? null : '/',
+        redirectTo: action.error ? null : safeReturnPath(action.returnTo) || '/',
         token: action.error ? null : action.payload.user.token,
-        currentUser: action.error ? null : action.payload.user
+        currentUser: action.error ? null : action.payload.user,
+        notice: action.error ? state.notice : null
       };
     case DELETE_ARTICLE:
       return { ...state, redirectTo: '/' };
@@ -60,6 +84,7 @@ export default (state = defaultState, action) => {
     case HOME_PAGE_UNLOADED:
     case PROFILE_PAGE_UNLOADED:
     case PROFILE_FAVORITES_PAGE_UNLOADED:
+    case SEARCH_PAGE_UNLOADED:
     case SETTINGS_PAGE_UNLOADED:
     case LOGIN_PAGE_UNLOADED:
     case REGISTER_PAGE_UNLOADED:
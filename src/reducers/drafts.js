@@ -0,0 +1,28 @@
+import {
+  APP_LOAD,
+  ARTICLE_SUBMITTED,
+  DRAFT_DISCARDED,
+  DRAFT_SAVED
+} from '../constants/actionTypes';
+
+const without = (drafts, key) => {
+  const rest = { ...drafts };
+  delete rest[key];
+  return rest;
+};
+
+// Keyed by `draftKey(username, slug)`.
+export default (state = {}, action) => {
+  switch (action.type) {
+    case APP_LOAD:
+      return action.drafts || state;
+    case DRAFT_SAVED:
+      return { ...state, [action.key]: action.draft };
+    case DRAFT_DISCARDED:
+      return without(state, action.key);
+    case ARTICLE_SUBMITTED:
+      return action.error ? state : without(state, action.draftKey);
+    default:
+      return state;
+  }
+};
@@ -1,24 +1,49 @@
+import { addTags } from '../tags';
+import { withoutFieldErrors } from '../articleValidation';
+import { draftFields } from '../drafts';
 import {
   EDITOR_PAGE_LOADED,
   EDITOR_PAGE_UNLOADED,
   ARTICLE_SUBMITTED,
   ASYNC_START,
   ADD_TAG,
+  ARTICLE_IMPORTED,
+  DRAFT_RESTORED,
+  EDITOR_TAGS_LOADED,
   REMOVE_TAG,
   UPDATE_FIELD_EDITOR
 } from '../constants/actionTypes';
 
+// A tag that is turned away stays in the input to be corrected.
+const addTag = (state, input) => {
+  const { tagList, error } = addTags(state.tagList, input);
+  return {
+    ...state,
+    tagList,
+    tagInput: error ? state.tagInput : '',
+    tagError: error,
+    errors: tagList !== state.tagList ? withoutFieldErrors(state.errors, 'tagList') : state.errors,
+    edited: state.edited || tagList !== state.tagList
+  };
+};
+
 export default (state = {}, action) => {
   switch (action.type) {
     case EDITOR_PAGE_LOADED:
+      const loaded = action.payload && !action.error ? action.payload.article : null;
       return {
         ...state,
-        articleSlug: action.payload ? action.payload.article.slug : '',
-        title: action.payload ? action.payload.article.title : '',
-        description: action.payload ? action.payload.article.description : '',
-        body: action.payload ? action.payload.article.body : '',
+        articleSlug: loaded ? loaded.slug : '',
+        title: loaded ? loaded.title : '',
+        description: loaded ? loaded.description : '',
+        body: loaded ? loaded.body : '',
         tagInput: '',
-        tagList: action.payload ? action.payload.article.tagList : []
+        tagError: null,
+        tagList: loaded ? loaded.tagList : [],
+        // What was last loaded or published, to tell unsaved changes.
+        original: draftFields(loaded || {}),
+        edited: false,
+        errors: action.error ? action.payload.errors : null
       };
     case EDITOR_PAGE_UNLOADED:
       return {};
@@ -26,7 +51,8 @@ export default (state = {}, action) => {
       return {
         ...state,
         inProgress: null,
-        errors: action.error ? action.payload.errors : null
+        errors: action.error ? action.payload.errors : null,
+        original: action.error ? state.original : draftFields(state)
       };
     case ASYNC_START:
       if (action.subtype === ARTICLE_SUBMITTED) {
@@ -34,18 +60,38 @@ export default (state = {}, action) => {
       }
       break;
     case ADD_TAG:
+      // `action.tag` is a picked suggestion, otherwise the input is added.
+      return addTag(state, action.tag || state.tagInput);
+    case REMOVE_TAG:
       return {
         ...state,
-        tagList: state.tagList.concat([state.tagInput]),
-        tagInput: ''
+        tagList: state.tagList.filter(tag => tag !== action.tag),
+        tagError: null,
+        errors: withoutFieldErrors(state.errors, 'tagList'),
+        edited: true
       };
-    case REMOVE_TAG:
+    case EDITOR_TAGS_LOADED:
+      return action.error ? state : { ...state, popularTags: action.payload.tags };
+    case ARTICLE_IMPORTED:
+      // Only the fields the file sets are replaced.
       return {
         ...state,
-        tagList: state.tagList.filter(tag => tag !== action.tag)
+        ...action.article,
+        tagInput: '',
+        tagError: null,
+        errors: null,
+        edited: true
       };
+    case DRAFT_RESTORED:
+      return { ...state, ...draftFields(action.draft), edited: true };
     case UPDATE_FIELD_EDITOR:
-      return { ...state, [action.key]: action.value };
+      return {
+        ...state,
+        [action.key]: action.value,
+        tagError: action.key === 'tagInput' ? null : state.tagError,
+        errors: withoutFieldErrors(state.errors, action.key),
+        edited: state.edited || action.key !== 'tagInput'
+      };
     default:
       return state;
   }
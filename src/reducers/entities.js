@@ -0,0 +1,142 @@
+import {
+  APP_LOAD,
+  ARTICLE_PAGE_LOADED,
+  ADD_COMMENT,
+  COMMENT_COUNT_LOADED,
+  DELETE_COMMENT,
+  ARTICLE_FAVORITED,
+  ARTICLE_UNFAVORITED,
+  ARTICLE_SUBMITTED,
+  DELETE_ARTICLE,
+  EDITOR_PAGE_LOADED,
+  SET_PAGE,
+  LOAD_MORE_ARTICLES,
+  APPLY_TAG_FILTER,
+  CHANGE_TAB,
+  HOME_PAGE_LOADED,
+  PROFILE_PAGE_LOADED,
+  PROFILE_FAVORITES_PAGE_LOADED,
+  SEARCH_PAGE_CRAWLED,
+  FOLLOW_USER,
+  UNFOLLOW_USER,
+  SETTINGS_SAVED
+} from '../constants/actionTypes';
+
+// Every article, profile and comment the app has seen, keyed by slug,
+// username and id. Articles and comments store their author's username;
+// the profile itself lives in `profiles`. Read through ../selectors.
+// `commentCounts` holds, by slug, the number of comments of articles
+// whose comments were counted for sorting or shown on the article page.
+
+const defaultState = {
+  articles: {},
+  profiles: {},
+  comments: {},
+  commentCounts: {}
+};
+
+const mergeProfiles = (profiles, incoming) => incoming.reduce((acc, profile) => ({
+  ...acc,
+  [profile.username]: { ...acc[profile.username], ...profile }
+}), profiles);
+
+const withArticles = (state, articles) => ({
+  ...state,
+  profiles: mergeProfiles(state.profiles, articles.map(a => a.author)),
+  articles: articles.reduce((acc, article) => ({
+    ...acc,
+    [article.slug]: { ...article, author: article.author.username }
+  }), state.articles)
+});
+
+const withComments = (state, comments) => ({
+  ...state,
+  profiles: mergeProfiles(state.profiles, comments.map(c => c.author)),
+  comments: comments.reduce((acc, comment) => ({
+    ...acc,
+    [comment.id]: { ...comment, author: comment.author.username }
+  }), state.comments)
+});
+
+const withProfile = (state, profile) => ({
+  ...state,
+  profiles: mergeProfiles(state.profiles, [profile])
+});
+
+// Only counts already known are kept up to date.
+const withCommentCount = (state, slug, change) => state.commentCounts[slug] === undefined ?
+  state :
+  { ...state, commentCounts: { ...state.commentCounts, [slug]: state.commentCounts[slug] + change } };
+
+const without = (map, key) => {
+  const copy = { ...map };
+  delete copy[key];
+  return copy;
+};
+
+export default (state = defaultState, action) => {
+  if (action.error || !action.payload) {
+    return state;
+  }
+
+  switch (action.type) {
+    case ARTICLE_PAGE_LOADED:
+      return {
+        ...withComments(
+          withArticles(state, [action.payload[0].article]),
+          action.payload[1].comments
+        ),
+        commentCounts: {
+          ...state.commentCounts,
+          [action.payload[0].article.slug]: action.payload[1].comments.length
+        }
+      };
+    case ADD_COMMENT:
+      return withCommentCount(withComments(state, [action.payload.comment]), action.slug, 1);
+    case DELETE_COMMENT:
+      return withCommentCount(
+        { ...state, comments: without(state.comments, action.commentId) },
+        action.slug,
+        -1
+      );
+    case COMMENT_COUNT_LOADED:
+      return {
+        ...state,
+        commentCounts: { ...state.commentCounts, [action.slug]: action.payload.comments.length }
+      };
+    case ARTICLE_FAVORITED:
+    case ARTICLE_UNFAVORITED:
+    case ARTICLE_SUBMITTED:
+    case EDITOR_PAGE_LOADED:
+      return withArticles(state, [action.payload.article]);
+    case DELETE_ARTICLE:
+      return { ...state, articles: without(state.articles, action.slug) };
+    case SET_PAGE:
+    case APPLY_TAG_FILTER:
+    case CHANGE_TAB:
+    case SEARCH_PAGE_CRAWLED:
+      return withArticles(state, action.payload.articles);
+    case LOAD_MORE_ARTICLES:
+      return withArticles(state, [].concat(...action.payload.map(page => page.articles)));
+    case HOME_PAGE_LOADED:
+      return withArticles(state, action.payload[1].articles);
+    case PROFILE_PAGE_LOADED:
+    case PROFILE_FAVORITES_PAGE_LOADED:
+      return withArticles(
+        withProfile(state, action.payload[0].profile),
+        action.payload[1].articles
+      );
+    case FOLLOW_USER:
+    case UNFOLLOW_USER:
+      return withProfile(state, action.payload.profile);
+    case APP_LOAD:
+    case SETTINGS_SAVED:
+      if (!action.payload.user) {
+        return state;
+      }
+      const { username, bio, image } = action.payload.user;
+      return withProfile(state, { username, bio, image });
+    default:
+      return state;
+  }
+};
@@ -5,7 +5,7 @@ export default (state = {}, action) => {
     case HOME_PAGE_LOADED:
       return {
         ...state,
-        tags: action.payload[0].tags
+        tags: action.error ? state.tags || [] : action.payload[0].tags
       };
     case HOME_PAGE_UNLOADED:
       return {};
@@ -0,0 +1,30 @@
+import {
+  APP_LOAD,
+  MUTE,
+  SET_PREFERENCE,
+  UNMUTE
+} from '../constants/actionTypes';
+import { defaultPreferences } from '../preferences';
+
+// `kind` is 'authors' or 'tags'.
+const mute = (muted, kind, name) => muted[kind].indexOf(name) === -1 ?
+  { ...muted, [kind]: muted[kind].concat(name) } :
+  muted;
+
+const unmute = (muted, kind, name) =>
+  ({ ...muted, [kind]: muted[kind].filter(n => n !== name) });
+
+export default (state = defaultPreferences, action) => {
+  switch (action.type) {
+    case APP_LOAD:
+      return { ...state, ...action.preferences };
+    case SET_PREFERENCE:
+      return { ...state, [action.key]: action.value };
+    case MUTE:
+      return { ...state, muted: mute(state.muted, action.kind, action.name) };
+    case UNMUTE:
+      return { ...state, muted: unmute(state.muted, action.kind, action.name) };
+    default:
+      return state;
+  }
+};
@@ -1,23 +1,16 @@
 import {
   PROFILE_PAGE_LOADED,
-  PROFILE_PAGE_UNLOADED,
-  FOLLOW_USER,
-  UNFOLLOW_USER
+  PROFILE_PAGE_UNLOADED
 } from '../constants/actionTypes';
 
 export default (state = {}, action) => {
   switch (action.type) {
     case PROFILE_PAGE_LOADED:
-      return {
-        ...action.payload[0].profile
+      return action.error ? {} : {
+        username: action.payload[0].profile.username
       };
     case PROFILE_PAGE_UNLOADED:
       return {};
-    case FOLLOW_USER:
-    case UNFOLLOW_USER:
-      return {
-        ...action.payload.profile
-      };
     default:
       return state;
   }
@@ -0,0 +1,23 @@
+import { addRevision } from '../revisions';
+import { APP_LOAD, ARTICLE_SUBMITTED } from '../constants/actionTypes';
+
+// A changed title may give the article a new slug; its history moves along.
+const recordRevision = (state, action) => {
+  const article = action.payload.article;
+  const from = action.previous ? action.previous.slug : article.slug;
+  const rest = { ...state };
+  delete rest[from];
+  return { ...rest, [article.slug]: addRevision(state[from], article, action.previous) };
+};
+
+// Keyed by slug (see ../revisions).
+export default (state = {}, action) => {
+  switch (action.type) {
+    case APP_LOAD:
+      return action.revisions || state;
+    case ARTICLE_SUBMITTED:
+      return action.error ? state : recordRevision(state, action);
+    default:
+      return state;
+  }
+};
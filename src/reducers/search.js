@@ -0,0 +1,40 @@
+import {
+  ASYNC_START,
+  SEARCH_PAGE_CRAWLED,
+  SEARCH_PAGE_UNLOADED
+} from '../constants/actionTypes';
+
+// Articles crawled for the search index, kept across visits to /search.
+const defaultState = {
+  slugs: [],
+  nextPage: 0,
+  crawling: false
+};
+
+export default (state = defaultState, action) => {
+  switch (action.type) {
+    case SEARCH_PAGE_CRAWLED:
+      if (action.error) {
+        return { ...state, crawling: false, errors: action.payload.errors };
+      }
+      return {
+        ...state,
+        slugs: state.slugs.concat(action.payload.articles
+          .map(article => article.slug)
+          .filter(slug => state.slugs.indexOf(slug) === -1)),
+        articlesCount: action.payload.articlesCount,
+        nextPage: Math.max(state.nextPage, action.page + 1),
+        crawling: false,
+        errors: null
+      };
+    case ASYNC_START:
+      if (action.subtype === SEARCH_PAGE_CRAWLED) {
+        return { ...state, crawling: true };
+      }
+      return state;
+    case SEARCH_PAGE_UNLOADED:
+      return { ...state, crawling: false, errors: null };
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,38 @@
+import { buildQuery, parseQuery } from './queryString';
+
+// Where to send the user after they sign in or up. The path comes from
+// `?next=` or from `location.state.from` (set by redirects such as the
+// session expiry one) and must stay inside the app.
+
+const AUTH_PAGES = /^\/(login|register)(?:[/?#]|$)/;
+
+export const safeReturnPath = path => {
+  if (typeof path !== 'string' || path.charAt(0) !== '/') {
+    return null;
+  }
+  // `//host` and `/\host` are protocol-relative URLs to another origin.
+  if (/^\/[/\\]/.test(path) || AUTH_PAGES.test(path)) {
+    return null;
+  }
+  return path;
+};
+
+const pathOf = location =>
+  `${location.pathname || ''}${location.search || ''}${location.hash || ''}`;
+
+export const returnPathFrom = location => {
+  if (!location) {
+    return null;
+  }
+  const from = location.state && location.state.from;
+  if (from) {
+    return safeReturnPath(typeof from === 'string' ? from : pathOf(from));
+  }
+  return safeReturnPath(parseQuery(location.search).next);
+};
+
+// e.g. withReturnPath('/login', '/editor') === '/login?next=%2Feditor'
+export const withReturnPath = (pathname, returnPath) => {
+  const next = safeReturnPath(returnPath);
+  return `${pathname}${buildQuery({ next })}`;
+};
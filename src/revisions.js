@@ -0,0 +1,57 @@
+import { draftFields, sameContent } from './drafts';
+
+// The API keeps no earlier versions of an article, so every version
+// published from the editor is kept in localStorage. Histories are keyed
+// by slug, oldest first; each revision has the published fields and
+// `savedAt` (null for a version published before the history began).
+
+const STORAGE_KEY = 'revisions';
+const MAX_REVISIONS = 50;
+
+const append = (history, revision) => {
+  const last = history[history.length - 1];
+  return last && sameContent(last, revision) ?
+    history :
+    history.concat([revision]).slice(-MAX_REVISIONS);
+};
+
+// `article` is the API's response to publishing. `previous` is what the
+// editor had loaded; it is recorded first unless it is already the latest
+// revision, e.g. for an article published elsewhere.
+export const addRevision = (history = [], article, previous) => {
+  const before = previous ? append(history, { ...draftFields(previous), savedAt: null }) : history;
+  return append(before, { ...draftFields(article), savedAt: article.updatedAt || article.createdAt });
+};
+
+export const loadRevisions = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+// The oldest revision of the longest history left out, or null when every
+// history is down to its latest revision.
+const trimmed = revisions => {
+  const longest = Object.keys(revisions)
+    .sort((a, b) => revisions[b].length - revisions[a].length)[0];
+  if (!longest || revisions[longest].length < 2) {
+    return null;
+  }
+  return { ...revisions, [longest]: revisions[longest].slice(1) };
+};
+
+// Bodies can be long: when localStorage is full, old revisions are left
+// out until the rest fits.
+export const saveRevisions = revisions => {
+  let kept = revisions;
+  while (kept) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+      return;
+    } catch (e) {
+      kept = trimmed(kept);
+    }
+  }
+};
@@ -0,0 +1,120 @@
+// Client-side article search. The API has no full-text search, so the
+// search page indexes the article pages it has crawled and ranks matches
+// here. Every query word must match a word in the article, either exactly
+// or as a prefix; exact matches and matches in more prominent fields
+// rank higher.
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  tagList: 4,
+  author: 3,
+  description: 2
+};
+
+const PREFIX_FACTOR = 0.5;
+
+export const tokenize = text =>
+  String(text || '').toLowerCase().match(/[a-z0-9\u00c0-\uffff]+/g) || [];
+
+const fieldText = (article, field) => {
+  if (field === 'author') {
+    return article.author.username;
+  }
+  if (field === 'tagList') {
+    return article.tagList.join(' ');
+  }
+  return article[field];
+};
+
+const indexes = new WeakMap();
+
+// `articles` should be a memoized list (see ../selectors) so the index is
+// only rebuilt when the crawled articles change.
+export const buildIndex = articles => {
+  const cached = indexes.get(articles);
+  if (cached) {
+    return cached;
+  }
+
+  // word -> { slug -> weight }
+  const postings = {};
+  const order = {};
+  articles.forEach((article, position) => {
+    order[article.slug] = position;
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      tokenize(fieldText(article, field)).forEach(word => {
+        const bySlug = postings[word] || (postings[word] = {});
+        bySlug[article.slug] = Math.max(bySlug[article.slug] || 0, FIELD_WEIGHTS[field]);
+      });
+    });
+  });
+
+  const index = { postings, order, words: Object.keys(postings) };
+  indexes.set(articles, index);
+  return index;
+};
+
+const scoresFor = (index, term) => {
+  const scores = {};
+  index.words.forEach(word => {
+    if (word.indexOf(term) !== 0) {
+      return;
+    }
+    const factor = word === term ? 1 : PREFIX_FACTOR;
+    const bySlug = index.postings[word];
+    Object.keys(bySlug).forEach(slug => {
+      scores[slug] = Math.max(scores[slug] || 0, bySlug[slug] * factor);
+    });
+  });
+  return scores;
+};
+
+// Returns matching slugs, best first; ties keep crawl (newest first) order.
+export const searchIndex = (index, query) => {
+  const terms = tokenize(query);
+  if (!terms.length) {
+    return [];
+  }
+
+  const [first, ...rest] = terms.map(term => scoresFor(index, term));
+  const totals = Object.keys(first).reduce((acc, slug) => {
+    if (rest.every(scores => scores[slug])) {
+      acc[slug] = rest.reduce((sum, scores) => sum + scores[slug], first[slug]);
+    }
+    return acc;
+  }, {});
+
+  return Object.keys(totals).sort((a, b) =>
+    totals[b] - totals[a] || index.order[a] - index.order[b]);
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits `text` into `{ text, match }` parts, marking the words that
+// begin with one of the query's words.
+export const highlight = (text, query) => {
+  const terms = tokenize(query);
+  if (!text || !terms.length) {
+    return [{ text: text || '', match: false }];
+  }
+
+  const pattern = new RegExp(
+    `(^|[^a-z0-9\\u00c0-\\uffff])(${terms.map(escapeRegExp).join('|')})`,
+    'gi'
+  );
+  const parts = [];
+  let last = 0;
+  let found;
+  while ((found = pattern.exec(text)) !== null) {
+    const start = found.index + found[1].length;
+    if (start > last) {
+      parts.push({ text: text.slice(last, start), match: false });
+    }
+    parts.push({ text: found[2], match: true });
+    last = start + found[2].length;
+  }
+  if (last < text.length) {
+    parts.push({ text: text.slice(last), match: false });
+  }
+  return parts;
+};
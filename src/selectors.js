@@ -0,0 +1,112 @@
+import { normalizeTag } from './tags';
+
+// Components read articles, profiles and comments through these rather
+// than from the slices that list them, so every view shows the same copy.
+// Results are memoized per entity so connected components only re-render
+// when something they show has changed.
+
+const denormalized = new WeakMap();
+
+const withAuthor = (entity, profiles) => {
+  const author = profiles[entity.author];
+  const cached = denormalized.get(entity);
+  if (cached && cached.author === author) {
+    return cached.value;
+  }
+
+  const value = { ...entity, author: author || { username: entity.author } };
+  denormalized.set(entity, { author, value });
+  return value;
+};
+
+const lists = new WeakMap();
+
+// Returns the same array as last time for the same ids and items.
+const memoizedList = (ids, items) => {
+  const cached = lists.get(ids);
+  if (cached && cached.length === items.length &&
+      cached.every((item, i) => item === items[i])) {
+    return cached;
+  }
+  lists.set(ids, items);
+  return items;
+};
+
+export const getProfile = (state, username) =>
+  username ? state.entities.profiles[username] : undefined;
+
+export const getArticle = (state, slug) => {
+  const article = slug && state.entities.articles[slug];
+  return article ? withAuthor(article, state.entities.profiles) : undefined;
+};
+
+export const getArticles = (state, slugs) => {
+  if (!slugs) {
+    return slugs;
+  }
+  const articles = slugs
+    .map(slug => getArticle(state, slug))
+    .filter(article => article);
+  return memoizedList(slugs, articles);
+};
+
+export const getComments = (state, ids) => {
+  if (!ids) {
+    return ids;
+  }
+  const { comments, profiles } = state.entities;
+  const items = ids
+    .filter(id => comments[id])
+    .map(id => withAuthor(comments[id], profiles));
+  return memoizedList(ids, items);
+};
+
+const isMuted = (article, muted) =>
+  muted.authors.indexOf(article.author.username) !== -1 ||
+  article.tagList.some(tag => muted.tags.indexOf(tag) !== -1);
+
+const unmuted = new WeakMap();
+
+// The home feeds leave out articles by muted authors or with muted tags
+// (see ./preferences).
+export const getFeedArticles = (state, slugs) => {
+  const articles = getArticles(state, slugs);
+  const muted = state.preferences.muted;
+  if (!articles) {
+    return articles;
+  }
+
+  const cached = unmuted.get(articles);
+  if (cached && cached.muted === muted) {
+    return cached.value;
+  }
+  const value = articles.filter(article => !isMuted(article, muted));
+  unmuted.set(articles, { muted, value });
+  return value;
+};
+
+const knownTags = new WeakMap();
+const NO_TAGS = [];
+
+// Tags to suggest in the editor: the popular ones first, then any other
+// tag seen on a loaded article.
+export const getKnownTags = state => {
+  const articles = state.entities.articles;
+  const popular = state.editor.popularTags || NO_TAGS;
+  const cached = knownTags.get(articles);
+  if (cached && cached.popular === popular) {
+    return cached.value;
+  }
+
+  const value = [];
+  const add = tag => {
+    const normalized = normalizeTag(tag);
+    if (normalized && value.indexOf(normalized) === -1) {
+      value.push(normalized);
+    }
+  };
+  popular.forEach(add);
+  Object.keys(articles).forEach(slug => articles[slug].tagList.forEach(add));
+  knownTags.set(articles, { popular, value });
+  return value;
+};
@@ -0,0 +1,32 @@
+// Article tags are kept trimmed, lower case and unique, with limits on
+// their length and number.
+
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS = 10;
+
+// Characters that would break tag URLs or the comma separated input.
+export const FORBIDDEN_TAG_CHARACTERS = /[#,/\\?<>"]/;
+export const FORBIDDEN_TAG_MESSAGE = 'can\'t contain #, comma, /, \\, ?, <, > or "';
+
+export const normalizeTag = tag => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Adds the comma separated tags in `input` to `tagList`. Duplicates are
+// dropped quietly; `error` explains a tag that was turned away.
+export const addTags = (tagList, input) => input.split(',')
+  .map(normalizeTag)
+  .filter(tag => tag)
+  .reduce(({ tagList, error }, tag) => {
+    if (tagList.indexOf(tag) !== -1) {
+      return { tagList, error };
+    }
+    if (FORBIDDEN_TAG_CHARACTERS.test(tag)) {
+      return { tagList, error: `Tags ${FORBIDDEN_TAG_MESSAGE}.` };
+    }
+    if (tag.length > MAX_TAG_LENGTH) {
+      return { tagList, error: `Tags can be at most ${MAX_TAG_LENGTH} characters long.` };
+    }
+    if (tagList.length >= MAX_TAGS) {
+      return { tagList, error: `An article can have at most ${MAX_TAGS} tags.` };
+    }
+    return { tagList: tagList.concat(tag), error };
+  }, { tagList, error: null });
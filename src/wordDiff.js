@@ -0,0 +1,101 @@
+// Word-level diff of two texts as `{ type, text }` parts, where `type` is
+// 'equal', 'delete' (only in the first text) or 'insert' (only in the
+// second). Words and the whitespace between them are compared as tokens
+// with Myers' algorithm, so the parts join back into either text.
+
+// Past this many changed tokens the texts are shown as replaced outright.
+const MAX_EDITS = 1000;
+
+const tokenize = text => text.match(/\s+|[^\s]+/g) || [];
+
+// The shortest edit script between `a` and `b`, as one type per token.
+// `trace[d]` keeps, for every diagonal k reachable in d edits, how far
+// along `a` the furthest path on it got.
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = [];
+  const trace = [];
+  v[offset + 1] = 0;
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDITS); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ?
+        v[offset + k + 1] :
+        v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+  return null;
+};
+
+const backtrack = (a, b, trace) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const before = trace[d];
+    const at = k => before[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: 'insert', text: b[--y] } : { type: 'delete', text: a[--x] });
+    }
+  }
+  return ops.reverse();
+};
+
+const merge = parts => parts.reduce((merged, part) => {
+  const last = merged[merged.length - 1];
+  if (last && last.type === part.type) {
+    merged[merged.length - 1] = { type: last.type, text: last.text + part.text };
+  } else if (part.text) {
+    merged.push(part);
+  }
+  return merged;
+}, []);
+
+export const diffWords = (before, after) => {
+  const a = tokenize(before || '');
+  const b = tokenize(after || '');
+
+  // Most revisions change little, so the common ends are set aside first.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start &&
+      a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const middle = myers(middleA, middleB) || [
+    { type: 'delete', text: middleA.join('') },
+    { type: 'insert', text: middleB.join('') }
+  ];
+
+  return merge([{ type: 'equal', text: a.slice(0, start).join('') }]
+    .concat(middle)
+    .concat({ type: 'equal', text: a.slice(a.length - end).join('') }));
+};
+
+export const hasChanges = parts => parts.some(part => part.type !== 'equal');